@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openInBrowser, resolveLinkForPath, setCommandLineConfiguration } = require('./extension');
+const { contributes } = require('./package.json');
+
+const SETTINGS_PREFIX = 'openInGithub.';
+// Settings that run programs or send credentials are only read from the user's own files, never a workspace
+const MACHINE_SETTINGS = Object.keys(contributes.configuration.properties)
+    .filter(key => contributes.configuration.properties[key].scope === 'machine')
+    .map(key => key.substring(SETTINGS_PREFIX.length));
+
+const USAGE = `Usage: open-in-github <path>[:line[-end]] [options]
+
+Opens the file in its GitHub repository, at the same remote and ref the editor extension uses.
+
+Targets:
+  --blame            Open the blame view
+  --history          Open the commit history
+  --commit           Open the commit that last changed the line
+  --pr               Open the PR that last changed the line
+
+Options:
+  --print            Print the link instead of opening it
+  --copy             Copy the link to the clipboard instead of opening it
+  --remote <name>    Link to this remote instead of the preferred one
+  --permalink        Link to the current commit instead of the branch
+  --config <file>    Read settings from this file too, over the others
+  -h, --help         Show this help
+
+Settings are read like the editor reads them: the user settings of VS Code, then the
+nearest .vscode/settings.json of the workspace, then --config.`;
+
+const TARGET_FLAGS = {
+    '--blame': 'blame',
+    '--history': 'history',
+    '--commit': 'commit',
+    '--pr': 'pr'
+};
+
+/**
+ * Split a path argument such as src/a.js:10-20 into the path and its 1-based line range.
+ * @param {string} value - The path, optionally followed by :line or :line-end
+ * @returns {Object} - Object with filePath and lines (null without a line)
+ */
+function parseLocation(value) {
+    const match = value.match(/^(.+):(\d+)(?:-(\d+))?$/);
+    if (!match) {
+        return { filePath: value, lines: null };
+    }
+
+    const start = Number(match[2]);
+    const end = match[3] ? Number(match[3]) : start;
+    if (start < 1 || end < start) {
+        throw new Error(`Invalid line range in ${value}`);
+    }
+
+    return { filePath: match[1], lines: { start, end } };
+}
+
+/**
+ * Parse the command line arguments.
+ * @param {string[]} args - The arguments after the script name
+ * @returns {Object} - Object with help, or filePath, lines, target, action ('open', 'print' or 'copy'),
+ *   remoteName, useCommitHash and configFile; throws for invalid arguments
+ */
+function parseArgs(args) {
+    const options = { target: 'file', action: 'open', remoteName: null, useCommitHash: false, configFile: null, location: null };
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '-h' || arg === '--help') {
+            return { help: true };
+        } else if (TARGET_FLAGS[arg]) {
+            if (options.target !== 'file') {
+                throw new Error('Only one of --blame, --history, --commit and --pr can be used');
+            }
+            options.target = TARGET_FLAGS[arg];
+        } else if (arg === '--print' || arg === '--copy') {
+            if (options.action !== 'open') {
+                throw new Error('Only one of --print and --copy can be used');
+            }
+            options.action = arg.substring(2);
+        } else if (arg === '--remote') {
+            options.remoteName = args[++index];
+            if (!options.remoteName) {
+                throw new Error('--remote needs a remote name');
+            }
+        } else if (arg === '--config') {
+            options.configFile = args[++index];
+            if (!options.configFile) {
+                throw new Error('--config needs a file');
+            }
+            options.configFile = path.resolve(options.configFile);
+        } else if (arg === '--permalink') {
+            options.useCommitHash = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.location) {
+            throw new Error('Only one path can be given');
+        } else {
+            options.location = arg;
+        }
+    }
+
+    if (!options.location) {
+        throw new Error('A path is required');
+    }
+
+    const { filePath, lines } = parseLocation(options.location);
+    if ((options.target === 'commit' || options.target === 'pr') && !lines) {
+        throw new Error(`--${options.target} needs a line, e.g. ${filePath}:10`);
+    }
+
+    const { location, ...rest } = options;
+    return { ...rest, filePath: path.resolve(filePath), lines };
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as VS Code writes settings files.
+ * @param {string} text - The file contents
+ * @returns {*} - The parsed value; throws for invalid JSON
+ */
+function parseJsonc(text) {
+    let json = '';
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (char === '"') {
+            // Copy strings unchanged, including escaped quotes
+            const start = index;
+            for (index++; index < text.length && text[index] !== '"'; index++) {
+                if (text[index] === '\\') {
+                    index++;
+                }
+            }
+            json += text.substring(start, index + 1);
+        } else if (char === '/' && text[index + 1] === '/') {
+            while (index < text.length && text[index] !== '\n') {
+                index++;
+            }
+            json += '\n';
+        } else if (char === '/' && text[index + 1] === '*') {
+            const end = text.indexOf('*/', index + 2);
+            index = end === -1 ? text.length : end + 1;
+            json += ' ';
+        } else if (char === ',' && /^\s*(?:\/\/[^\n]*\n\s*|\/\*[\s\S]*?\*\/\s*)*[}\]]/.test(text.substring(index + 1))) {
+            // Drop trailing commas
+        } else {
+            json += char;
+        }
+    }
+
+    return JSON.parse(json);
+}
+
+/**
+ * Read the openInGithub settings of a settings file.
+ * @param {string|null} filePath - The settings.json file
+ * @returns {Object} - The settings by key without the openInGithub. prefix; empty when the file does not exist
+ */
+function readSettingsFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return {};
+    }
+
+    let settings;
+    try {
+        settings = parseJsonc(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read settings from ${filePath}: ${error.message}`);
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(settings || {})) {
+        if (key.startsWith(SETTINGS_PREFIX)) {
+            values[key.substring(SETTINGS_PREFIX.length)] = value;
+        }
+    }
+    return values;
+}
+
+/**
+ * Get the settings.json of the VS Code user.
+ * @returns {string} - The file path
+ */
+function getUserSettingsPath() {
+    const configHome = {
+        win32: process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'),
+        darwin: path.join(os.homedir(), 'Library', 'Application Support')
+    }[process.platform] || process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, 'Code', 'User', 'settings.json');
+}
+
+/**
+ * Find the .vscode/settings.json of the workspace a path is in: the nearest one in it or its parents.
+ * @param {string} filePath - The file or directory path
+ * @returns {string|null} - The file path, or null when there is none
+ */
+function findWorkspaceSettingsPath(filePath) {
+    let directory = path.dirname(filePath);
+    while (true) {
+        const candidate = path.join(directory, '.vscode', 'settings.json');
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+            return null;
+        }
+        directory = parent;
+    }
+}
+
+/**
+ * Load the settings for a path, read through get and inspect like a WorkspaceConfiguration.
+ * Later files win: the user settings, the workspace's .vscode/settings.json, then the --config file.
+ * @param {string} filePath - The file or directory the link is for
+ * @param {string|null} configFile - The --config file
+ * @returns {Object} - The configuration
+ */
+function loadConfiguration(filePath, configFile = null) {
+    if (configFile && !fs.existsSync(configFile)) {
+        throw new Error(`${configFile} does not exist`);
+    }
+
+    const userValues = readSettingsFile(getUserSettingsPath());
+    const workspaceValues = readSettingsFile(findWorkspaceSettingsPath(filePath));
+    for (const key of MACHINE_SETTINGS) {
+        delete workspaceValues[key];
+    }
+    const configValues = readSettingsFile(configFile);
+    const layers = [configValues, workspaceValues, userValues];
+
+    return {
+        get: (key, defaultValue) => {
+            const values = layers.find(layer => key in layer);
+            return values ? values[key] : defaultValue;
+        },
+        inspect: (key) => ({
+            key: `${SETTINGS_PREFIX}${key}`,
+            globalValue: key in configValues ? configValues[key] : userValues[key],
+            workspaceValue: workspaceValues[key]
+        })
+    };
+}
+
+/**
+ * Copy text to the clipboard with the platform's clipboard tool.
+ * @param {string} text - The text
+ * @returns {Promise<void>} - Rejects when no clipboard tool is available
+ */
+async function copyToClipboard(text) {
+    const candidates = {
+        darwin: [['pbcopy']],
+        win32: [['clip']]
+    }[process.platform] || [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']];
+
+    for (const [command, ...args] of candidates) {
+        const copied = await new Promise((resolve) => {
+            const child = spawn(command, args, { stdio: ['pipe', 'ignore', 'ignore'] });
+            child.on('error', () => resolve(false));
+            child.on('close', code => resolve(code === 0));
+            child.stdin.on('error', () => {});
+            child.stdin.end(text);
+        });
+        if (copied) {
+            return;
+        }
+    }
+
+    throw new Error(`No clipboard tool found; tried ${candidates.map(candidate => candidate[0]).join(', ')}`);
+}
+
+/**
+ * Run the command line.
+ * @param {string[]} args - The arguments after the script name
+ * @returns {Promise<number>} - The exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`open-in-github: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    try {
+        const config = loadConfiguration(options.filePath, options.configFile);
+        // git runs as the editor runs it, including openInGithub.gitPath from the user settings
+        setCommandLineConfiguration(config);
+        const { url, warnings } = await resolveLinkForPath(options.filePath, config, options);
+        for (const warning of warnings) {
+            console.error(`open-in-github: ${warning}`);
+        }
+
+        if (options.action === 'print') {
+            console.log(url);
+        } else if (options.action === 'copy') {
+            await copyToClipboard(url);
+            console.error(`open-in-github: copied ${url}`);
+        } else {
+            await openInBrowser(url);
+        }
+        return 0;
+    } catch (error) {
+        console.error(`open-in-github: ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    loadConfiguration,
+    main,
+    parseArgs,
+    parseJsonc,
+    parseLocation
+};
@@ -4,606 +4,5226 @@ try {
 } catch (error) {
     vscode = null;
 }
-const { exec, execFile } = require('child_process');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
 const path = require('path');
 const { promisify } = require('util');
 
-const execAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
-const PREFERRED_REMOTES = ['upstream', 'origin'];
+const DEFAULT_REMOTE_PRIORITY = ['upstream', 'origin'];
 const FALLBACK_BRANCH = 'main';
+const DEFAULT_GITHUB_HOST = 'github.com';
+const SSH_CONFIG_PATH = path.join(os.homedir(), '.ssh', 'config');
+const REMOTE_BRANCH_CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_REMOTE_TIMEOUT_SECONDS = 10;
+const DEFAULT_GIT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_GIT_MAX_BUFFER = 16 * 1024 * 1024;
+const DEFAULT_REMOTE_REF_MAX_AGE_MINUTES = 60;
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+const BLAME_IGNORE_REVS_FILE = '.git-blame-ignore-revs';
+const UNCOMMITTED_HASH = '0'.repeat(40);
+// Remotes rarely change while hovering, so blame hovers look the repository up again after this long
+const BLAME_HOVER_REPOSITORY_TTL_MS = 60 * 1000;
+const BLAME_HOVER_MAX_MESSAGES = 500;
+// Commits without a PR may still get one later, so only those answers expire
+const EMPTY_PULL_REQUEST_CACHE_TTL_MS = 60 * 60 * 1000;
+// GitHub lists at most this many files for a pull request
+const MAX_PULL_REQUEST_FILES = 3000;
+// workspaceState keys mapping git roots to remote names
+const REMEMBERED_REMOTES_KEY = 'openInGithub.rememberedRemotes';
+const BRANCH_REMOTES_KEY = 'openInGithub.branchRemotes';
+// workspaceState key mapping submodule git roots to 'submodule' or 'superproject'
+const SUBMODULE_LINKS_KEY = 'openInGithub.submoduleLinks';
+
+let extensionContext = null;
+// The settings the command line loaded, used where VS Code's are not available, see setCommandLineConfiguration
+let commandLineConfiguration = null;
+let outputChannel = null;
+
+// Remote branch existence answers from ls-remote, keyed by git root, remote and branch
+const remoteBranchCache = new Map();
+
+// Whole-file blame per document URI, with the document version and HEAD it was computed for
+const documentBlameCache = new Map();
+
+// Per git root, the repository blame hovers link to and the messages of hovered commits
+const blameHoverCache = new Map();
 
 /**
- * Get the git repository root for a given file path
- * @param {string} filePath - The file path to check
- * @returns {Promise<string|null>} - The git repository root or null if not in a git repo
+ * Use the settings the command line loaded outside VS Code, e.g. for openInGithub.gitPath.
+ * @param {Object|null} config - The configuration, read through get and inspect like a WorkspaceConfiguration
  */
-async function getGitRoot(filePath) {
+function setCommandLineConfiguration(config) {
+    commandLineConfiguration = config;
+}
+
+/**
+ * Get the git binary to run: openInGithub.gitPath, then VS Code's git.path, then git from the PATH.
+ * @param {Object|null} config - The openInGithub configuration; VS Code's, or outside VS Code the command line's
+ * @returns {string} - The git binary
+ */
+function getGitPath(config = vscode ? vscode.workspace.getConfiguration('openInGithub') : commandLineConfiguration) {
+    // Only the user's own settings may name the program to run, never a workspace the user opened
+    const inspected = config && config.inspect ? config.inspect('gitPath') : null;
+    const gitPath = inspected && inspected.globalValue;
+    if (typeof gitPath === 'string' && gitPath.trim()) {
+        return gitPath.trim();
+    }
+
+    if (!vscode) {
+        return 'git';
+    }
+
+    // git.path may also be a list of candidates
+    const builtInGitPath = vscode.workspace.getConfiguration('git').get('path');
+    const candidates = Array.isArray(builtInGitPath) ? builtInGitPath : [builtInGitPath];
+    const candidate = candidates.find(value => typeof value === 'string' && value.trim());
+    return candidate ? candidate.trim() : 'git';
+}
+
+/**
+ * Get the Open in GitHub output channel, creating it on first use.
+ * @returns {vscode.OutputChannel} - The output channel
+ */
+function getOutputChannel() {
+    if (!outputChannel) {
+        outputChannel = vscode.window.createOutputChannel('Open in GitHub');
+    }
+
+    return outputChannel;
+}
+
+/**
+ * Log a debug message to the output channel when openInGithub.debugLogging is enabled.
+ * @param {string} message - The message
+ */
+function logDebug(message) {
+    if (vscode && vscode.workspace.getConfiguration('openInGithub').get('debugLogging', false)) {
+        getOutputChannel().appendLine(`[${new Date().toISOString()}] ${message}`);
+    }
+}
+
+/**
+ * Record a step of link resolution when a trace was requested, see explainLinkResolution.
+ * @param {string[]|null|undefined} trace - The trace to add to
+ * @param {string} message - The step
+ */
+function addTrace(trace, message) {
+    if (trace) {
+        trace.push(message);
+    }
+}
+
+/**
+ * Run git with an argument array, so paths and refs are never interpreted by a shell.
+ * git never prompts for credentials, and the call is stopped after a time limit or when cancelled.
+ * @param {string} cwd - The directory to run git in
+ * @param {string[]} args - The git arguments
+ * @param {Object} options - Optional timeoutMs, token (a cancellation token), input (written to stdin),
+ *   maxBuffer and env (added to the environment)
+ * @returns {Promise<Object>} - Object with stdout and stderr; rejects like execFile, with code, stdout and stderr
+ */
+async function runGit(cwd, args, options = {}) {
+    const controller = new AbortController();
+    const cancellation = options.token ? options.token.onCancellationRequested(() => controller.abort()) : null;
+    const startTime = Date.now();
     try {
-        const { stdout } = await execAsync('git rev-parse --show-toplevel', {
-            cwd: path.dirname(filePath)
+        if (options.token && options.token.isCancellationRequested) {
+            controller.abort();
+        }
+
+        const child = execFileAsync(getGitPath(), args, {
+            cwd,
+            timeout: options.timeoutMs || DEFAULT_GIT_TIMEOUT_MS,
+            maxBuffer: options.maxBuffer || DEFAULT_GIT_MAX_BUFFER,
+            signal: controller.signal,
+            env: {
+                ...process.env,
+                GIT_TERMINAL_PROMPT: '0',
+                ...options.env
+            }
         });
-        return stdout.trim();
+        // Close stdin so commands that read it never wait for input. git may exit before reading it.
+        if (child.child.stdin) {
+            child.child.stdin.on('error', () => {});
+            child.child.stdin.end(options.input || undefined);
+        }
+        const result = await child;
+        logDebug(`git ${args.join(' ')} in ${cwd} (${Date.now() - startTime} ms)`);
+        return result;
     } catch (error) {
-        return null;
+        const reason = error.killed ? 'timed out or was cancelled' : `exited with ${error.code}`;
+        logDebug(`git ${args.join(' ')} in ${cwd} ${reason} (${Date.now() - startTime} ms)`);
+        throw error;
+    } finally {
+        if (cancellation) {
+            cancellation.dispose();
+        }
     }
 }
 
 /**
- * Check whether a branch exists on a remote.
- * @param {string} gitRoot - The git repository root
- * @param {string} remoteName - The remote name to check
- * @param {string} branchName - The branch name to check
- * @returns {Promise<boolean>} - True if the branch exists on the remote
+ * Get the git repository root for a given file or directory path
+ * @param {string} filePath - The file or directory path to check
+ * @returns {Promise<string|null>} - The git repository root or null if not in a git repo
  */
-async function remoteBranchExists(gitRoot, remoteName, branchName) {
+async function getGitRoot(filePath) {
     try {
-        await execFileAsync('git', [
-            'ls-remote',
-            '--exit-code',
-            '--heads',
-            remoteName,
-            branchName
-        ], { cwd: gitRoot });
-        return true;
+        // A symlink belongs to the repository of the file it points to
+        const realPath = resolveRealPath(filePath);
+        const isDirectory = fs.existsSync(realPath) && fs.statSync(realPath).isDirectory();
+        let directory = isDirectory ? realPath : path.dirname(realPath);
+        // Deleted files, e.g. in the source control view, may be in deleted directories too
+        while (!fs.existsSync(directory) && path.dirname(directory) !== directory) {
+            directory = path.dirname(directory);
+        }
+        const { stdout } = await runGit(directory, ['rev-parse', '--show-toplevel']);
+        return stdout.trim();
     } catch (error) {
-        return false;
+        return null;
     }
 }
 
 /**
- * Get the GitHub ref to open, falling back to main when the local branch is not on the remote.
- * @param {string} gitRoot - The git repository root
- * @param {boolean} useCommitHash - Whether to use commit hash instead of branch name
- * @param {string|null} remoteName - The remote name to check for branch existence
- * @returns {Promise<Object>} - Object with ref, type, localBranch, remoteName, and fellBackToMain
+ * Run a task with a cancellable progress notification, or without one outside VS Code.
+ * @param {string} title - The progress notification title
+ * @param {Function} task - Called with a cancellation token (or null) and returning a promise
+ * @returns {Promise<*>} - The task result
  */
-async function getGitHubRef(gitRoot, useCommitHash = false, remoteName = null) {
-    if (useCommitHash) {
-        const { stdout } = await execAsync('git rev-parse HEAD', { cwd: gitRoot });
-        return {
-            ref: stdout.trim(),
-            type: 'commit',
-            localBranch: null,
-            remoteName,
-            fellBackToMain: false
-        };
+async function runWithCancellableProgress(title, task) {
+    if (!vscode) {
+        return task(null);
     }
 
-    const { stdout } = await execAsync('git branch --show-current', { cwd: gitRoot });
-    const localBranch = stdout.trim();
-    if (!localBranch) {
-        const { stdout: commit } = await execAsync('git rev-parse HEAD', { cwd: gitRoot });
-        return {
-            ref: commit.trim(),
-            type: 'commit',
-            localBranch: null,
-            remoteName,
-            fellBackToMain: false
-        };
-    }
-
-    if (!remoteName) {
-        return {
-            ref: localBranch,
-            type: 'branch',
-            localBranch,
-            remoteName,
-            fellBackToMain: false
-        };
-    }
-
-    const existsOnRemote = await remoteBranchExists(gitRoot, remoteName, localBranch);
-    const fellBackToMain = !existsOnRemote && localBranch !== FALLBACK_BRANCH;
-    return {
-        ref: fellBackToMain ? FALLBACK_BRANCH : localBranch,
-        type: 'branch',
-        localBranch,
-        remoteName,
-        fellBackToMain
-    };
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title,
+        cancellable: true
+    }, (progress, token) => task(token));
 }
 
 /**
- * Get the relative path from git root to the file
- * @param {string} filePath - The absolute file path
+ * Run git ls-remote with a time limit, never prompting for credentials or SSH passphrases.
  * @param {string} gitRoot - The git repository root
- * @returns {string} - The relative path from git root
+ * @param {string[]} args - Arguments after `ls-remote`
+ * @param {Object} options - Optional timeoutMs and progress title
+ * @returns {Promise<Object|null>} - Object with stdout and exitCode, or null on timeout, cancellation or connection failure
  */
-function getRelativePath(filePath, gitRoot) {
-    return path.relative(gitRoot, filePath).replace(/\\/g, '/');
+async function runLsRemote(gitRoot, args, options = {}) {
+    const timeoutMs = typeof options.timeoutMs === 'number' ? options.timeoutMs : DEFAULT_REMOTE_TIMEOUT_SECONDS * 1000;
+    const title = options.title || 'Open in GitHub: contacting remote...';
+
+    return runWithCancellableProgress(title, async (token) => {
+        try {
+            const { stdout } = await runGit(gitRoot, ['ls-remote', ...args], {
+                timeoutMs,
+                token,
+                env: { GIT_SSH_COMMAND: process.env.GIT_SSH_COMMAND || 'ssh -o BatchMode=yes' }
+            });
+            return { stdout, exitCode: 0 };
+        } catch (error) {
+            // --exit-code makes ls-remote exit with 2 when the remote answered without matching refs
+            if (error.code === 2) {
+                return { stdout: error.stdout || '', exitCode: 2 };
+            }
+            return null;
+        }
+    });
 }
 
 /**
- * Get the URL for a specific git remote
+ * Check whether a remote-tracking ref exists locally.
  * @param {string} gitRoot - The git repository root
- * @param {string} remoteName - The name of the remote
- * @returns {Promise<string|null>} - The remote URL or null if remote doesn't exist
+ * @param {string} remoteName - The remote name
+ * @param {string} branchName - The branch name on the remote
+ * @returns {Promise<boolean>} - True if refs/remotes/<remote>/<branch> exists
  */
-async function getRemoteUrl(gitRoot, remoteName) {
+async function remoteTrackingBranchExists(gitRoot, remoteName, branchName) {
     try {
-        const { stdout } = await execFileAsync('git', ['remote', 'get-url', remoteName], { cwd: gitRoot });
-        return stdout.trim();
+        await runGit(gitRoot, [
+            'rev-parse',
+            '--verify',
+            '--quiet',
+            `refs/remotes/${remoteName}/${branchName}^{commit}`
+        ]);
+        return true;
     } catch (error) {
-        return null;
+        return false;
     }
 }
 
 /**
- * Get all git remote names
+ * Get when the repository last fetched, from the modification time of FETCH_HEAD.
  * @param {string} gitRoot - The git repository root
- * @returns {Promise<string[]>} - Array of remote names
+ * @returns {Promise<number|null>} - Milliseconds since the epoch, or null if it never fetched
  */
-async function getAllRemotes(gitRoot) {
+async function getLastFetchTime(gitRoot) {
     try {
-        const { stdout } = await execAsync('git remote', { cwd: gitRoot });
-        return stdout.trim().split('\n').filter(name => name.length > 0);
+        const { stdout } = await runGit(gitRoot, ['rev-parse', '--git-common-dir']);
+        const gitDir = path.resolve(gitRoot, stdout.trim());
+        return fs.statSync(path.join(gitDir, 'FETCH_HEAD')).mtimeMs;
     } catch (error) {
-        return [];
+        return null;
     }
 }
 
 /**
- * Check if a URL points to GitHub
- * @param {string} url - The URL to check
- * @returns {boolean} - True if URL points to GitHub
+ * Forget cached remote branch answers, for one repository or all of them.
+ * @param {string} gitRoot - Optional git repository root
  */
-function isGitHubUrl(url) {
-    return normalizeGitHubUrl(url) !== null;
+function clearRemoteBranchCache(gitRoot = null) {
+    for (const key of remoteBranchCache.keys()) {
+        if (!gitRoot || key.startsWith(`${gitRoot}\0`)) {
+            remoteBranchCache.delete(key);
+        }
+    }
 }
 
 /**
- * Normalize a GitHub URL to https://github.com/org/repo format
- * @param {string} url - The GitHub URL in any format
- * @returns {string|null} - Normalized URL or null if invalid
+ * Check whether a branch exists on a remote.
+ * In 'localFirst' mode the local remote-tracking ref answers when it is fresh; the remote is only
+ * contacted when that ref is missing or the last fetch is older than remoteRefMaxAgeMs.
+ * In 'local' mode the remote is never contacted, and in 'remote' mode it always is.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} remoteName - The remote name to check
+ * @param {string} branchName - The branch name to check
+ * @param {Object} options - Optional mode, remoteTimeoutMs and remoteRefMaxAgeMs, see getRefOptions
+ * @returns {Promise<boolean>} - True if the branch exists on the remote
  */
-function normalizeGitHubUrl(url) {
-    if (!url) return null;
+async function remoteBranchExists(gitRoot, remoteName, branchName, options = {}) {
+    const mode = options.mode || 'localFirst';
+    // 0 means fetched refs are never trusted without asking the remote
+    const maxAgeMs = typeof options.remoteRefMaxAgeMs === 'number'
+        ? options.remoteRefMaxAgeMs
+        : DEFAULT_REMOTE_REF_MAX_AGE_MINUTES * 60 * 1000;
 
-    try {
-        const trimmedUrl = url.trim();
+    const trackingRef = `refs/remotes/${remoteName}/${branchName}`;
+    let existsLocally = false;
+    if (mode !== 'remote') {
+        existsLocally = await remoteTrackingBranchExists(gitRoot, remoteName, branchName);
+        if (mode === 'local') {
+            addTrace(options.trace, `${trackingRef} ${existsLocally ? 'exists' : 'does not exist'} (remoteBranchCheck is local)`);
+            return existsLocally;
+        }
 
-        // https://github.com/org/repo
-        // https://github.com/org/repo.git
-        // git@github.com:org/repo.git
-        // ssh://git@github.com/org/repo.git
-        let match = trimmedUrl.match(/(?:^|@|\/\/)github\.com[:/]([^/]+)\/([^/#?]+?)(?:\.git)?\/?$/i);
-        if (match) {
-            return `https://github.com/${match[1]}/${match[2]}`;
+        const lastFetchTime = await getLastFetchTime(gitRoot);
+        const isFresh = lastFetchTime !== null && Date.now() - lastFetchTime < maxAgeMs;
+        if (existsLocally && isFresh) {
+            addTrace(options.trace, `${trackingRef} exists and was fetched recently`);
+            return true;
         }
-        return null;
-    } catch (error) {
-        return null;
     }
+
+    const cacheKey = `${gitRoot}\0${remoteName}\0${branchName}`;
+    const cached = remoteBranchCache.get(cacheKey);
+    if (cached && Date.now() - cached.checkedAt < REMOTE_BRANCH_CACHE_TTL_MS) {
+        addTrace(options.trace, `${remoteName} ${cached.exists ? 'has' : 'does not have'} branch ${branchName} (cached git ls-remote answer)`);
+        return cached.exists;
+    }
+
+    const result = await runLsRemote(gitRoot, ['--exit-code', remoteName, `refs/heads/${branchName}`], {
+        timeoutMs: options.remoteTimeoutMs,
+        title: `Open in GitHub: checking ${remoteName} for branch ${branchName}...`
+    });
+    if (!result) {
+        // Timed out, cancelled or offline, so trust whatever the local refs say
+        addTrace(options.trace, `git ls-remote ${remoteName} failed, timed out or was cancelled; ` +
+            `${trackingRef} ${existsLocally ? 'exists' : 'does not exist'}`);
+        return existsLocally;
+    }
+
+    const exists = result.exitCode === 0;
+    addTrace(options.trace, `git ls-remote: ${remoteName} ${exists ? 'has' : 'does not have'} branch ${branchName}`);
+    remoteBranchCache.set(cacheKey, { exists, checkedAt: Date.now() });
+    return exists;
 }
 
 /**
- * Read repositoryUrl only when it was explicitly configured by the user/workspace.
- * Extension defaults are intentionally ignored so stale manifest defaults cannot override remotes.
+ * Get the options for resolving refs from the workspace configuration.
  * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
- * @returns {string|null} - Configured repository URL or null when remotes should be inferred
+ * @returns {Object} - Options for getGitHubRef and remoteBranchExists
  */
-function getConfiguredRepositoryUrl(config) {
-    const normalizeConfigValue = (value) => {
-        if (typeof value !== 'string') {
+function getRefOptions(config) {
+    return {
+        fallback: config.get('unpushedBranchFallback', 'defaultBranch'),
+        mode: config.get('remoteBranchCheck', 'localFirst'),
+        remoteTimeoutMs: config.get('remoteTimeoutSeconds', DEFAULT_REMOTE_TIMEOUT_SECONDS) * 1000,
+        remoteRefMaxAgeMs: config.get('remoteRefMaxAgeMinutes', DEFAULT_REMOTE_REF_MAX_AGE_MINUTES) * 60 * 1000
+    };
+}
+
+/**
+ * Get the configured upstream (@{u}) of a local branch.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} branchName - The local branch name
+ * @returns {Promise<Object|null>} - Object with remoteName and branch, or null if there is no remote upstream
+ */
+async function getUpstreamBranch(gitRoot, branchName) {
+    try {
+        const { stdout } = await runGit(gitRoot, [
+            'for-each-ref',
+            '--format=%(upstream:remotename)%00%(upstream:remoteref)',
+            `refs/heads/${branchName}`
+        ]);
+        const [remoteName, remoteRef] = stdout.trim().split('\0');
+        if (!remoteName || !remoteRef || !remoteRef.startsWith('refs/heads/')) {
             return null;
         }
 
-        const trimmedValue = value.trim();
-        return trimmedValue || null;
-    };
-
-    if (config && typeof config.inspect === 'function') {
-        const inspection = config.inspect('repositoryUrl');
-        if (inspection) {
-            const explicitValueKeys = [
-                'workspaceFolderLanguageValue',
-                'workspaceFolderValue',
-                'workspaceLanguageValue',
-                'workspaceValue',
-                'globalLanguageValue',
-                'globalValue'
-            ];
+        return {
+            remoteName,
+            branch: remoteRef.substring('refs/heads/'.length)
+        };
+    } catch (error) {
+        return null;
+    }
+}
 
-            for (const key of explicitValueKeys) {
-                if (inspection[key] !== undefined) {
-                    return normalizeConfigValue(inspection[key]);
-                }
-            }
+/**
+ * Get the remote and branch name a local branch is pushed to. The remote comes from
+ * branch.<name>.pushRemote or remote.pushDefault, then the branch's upstream, then origin.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} branchName - The local branch name
+ * @returns {Promise<Object|null>} - Object with remoteName and branch, or null if there is no remote to push to
+ */
+async function getPushBranch(gitRoot, branchName) {
+    let pushRemoteName = '';
+    let pushRemoteRef = '';
+    try {
+        const { stdout } = await runGit(gitRoot, [
+            'for-each-ref',
+            '--format=%(push:remotename)%00%(push:remoteref)',
+            `refs/heads/${branchName}`
+        ]);
+        [pushRemoteName = '', pushRemoteRef = ''] = stdout.trim().split('\0');
+    } catch (error) {
+        // Fall back to the upstream below
+    }
 
-            return null;
-        }
+    const upstream = await getUpstreamBranch(gitRoot, branchName);
+    let remoteName = pushRemoteName || (upstream && upstream.remoteName);
+    if (!remoteName) {
+        const allRemotes = await getAllRemotes(gitRoot);
+        remoteName = allRemotes.includes('origin') ? 'origin' : null;
+    }
+    if (!remoteName) {
+        return null;
     }
 
-    if (config && typeof config.get === 'function') {
-        return normalizeConfigValue(config.get('repositoryUrl', ''));
+    let branch = branchName;
+    if (pushRemoteRef.startsWith('refs/heads/')) {
+        branch = pushRemoteRef.substring('refs/heads/'.length);
+    } else if (upstream && upstream.remoteName === remoteName) {
+        branch = upstream.branch;
     }
 
-    return null;
+    return { remoteName, branch };
 }
 
 /**
- * Get a normalized GitHub repository URL for a remote.
+ * Get a remote's default branch, preferring the local refs/remotes/<remote>/HEAD over asking the remote.
  * @param {string} gitRoot - The git repository root
  * @param {string} remoteName - The remote name
- * @returns {Promise<Object|null>} - The GitHub repository info or null if remote is missing or not GitHub
+ * @param {Object} options - Optional mode and remoteTimeoutMs, see getRefOptions
+ * @returns {Promise<string|null>} - The default branch name or null if it could not be determined
  */
-async function getGitHubRepositoryInfoForRemote(gitRoot, remoteName) {
-    const remoteUrl = await getRemoteUrl(gitRoot, remoteName);
-    const normalized = normalizeGitHubUrl(remoteUrl);
-    if (!normalized) {
+async function getRemoteDefaultBranch(gitRoot, remoteName, options = {}) {
+    const remoteHeadPrefix = `refs/remotes/${remoteName}/`;
+    try {
+        const { stdout } = await runGit(gitRoot, [
+            'symbolic-ref',
+            '--quiet',
+            `${remoteHeadPrefix}HEAD`
+        ]);
+        const remoteHead = stdout.trim();
+        if (remoteHead.startsWith(remoteHeadPrefix)) {
+            addTrace(options.trace, `Default branch of ${remoteName} is ${remoteHead.substring(remoteHeadPrefix.length)} (from ${remoteHeadPrefix}HEAD)`);
+            return remoteHead.substring(remoteHeadPrefix.length);
+        }
+    } catch (error) {
+        // refs/remotes/<remote>/HEAD is only set by clone or `git remote set-head`
+    }
+
+    if (options.mode === 'local') {
+        addTrace(options.trace, `${remoteHeadPrefix}HEAD is not set and remoteBranchCheck is local`);
         return null;
     }
 
-    return {
-        url: normalized,
-        remoteName
-    };
+    const result = await runLsRemote(gitRoot, ['--symref', remoteName, 'HEAD'], {
+        timeoutMs: options.remoteTimeoutMs,
+        title: `Open in GitHub: looking up the default branch of ${remoteName}...`
+    });
+    const match = result && result.stdout.match(/^ref: refs\/heads\/(\S+)\s+HEAD$/m);
+    addTrace(options.trace, match
+        ? `Default branch of ${remoteName} is ${match[1]} (from git ls-remote --symref)`
+        : `Could not look up the default branch of ${remoteName} with git ls-remote --symref`);
+    return match ? match[1] : null;
 }
 
 /**
- * Find the configured git remote for a normalized GitHub repository URL.
+ * Get the merge-base of HEAD and a remote-tracking branch.
  * @param {string} gitRoot - The git repository root
- * @param {string} repositoryUrl - The normalized GitHub repository URL
- * @returns {Promise<string|null>} - Matching remote name or null if none match
+ * @param {string} remoteName - The remote name
+ * @param {string} branchName - The branch name on the remote
+ * @returns {Promise<string|null>} - The merge-base commit hash or null if there is none
  */
-async function getRemoteNameForRepositoryUrl(gitRoot, repositoryUrl) {
-    const allRemotes = await getAllRemotes(gitRoot);
-    for (const remote of allRemotes) {
-        const remoteUrl = await getRemoteUrl(gitRoot, remote);
-        if (normalizeGitHubUrl(remoteUrl) === repositoryUrl) {
-            return remote;
-        }
+async function getMergeBase(gitRoot, remoteName, branchName) {
+    try {
+        const { stdout } = await runGit(gitRoot, [
+            'merge-base',
+            'HEAD',
+            `refs/remotes/${remoteName}/${branchName}`
+        ]);
+        return stdout.trim() || null;
+    } catch (error) {
+        return null;
     }
-
-    return null;
 }
 
 /**
- * Get GitHub repository URL following strict priority order:
- * 1. Configuration setting (if set)
- * 2. Upstream remote (if exists and points to GitHub)
- * 3. Origin remote (if exists and points to GitHub)
- * 4. First GitHub remote from all remotes
- * 5. null if none found
+ * Get the GitHub ref to open. When the local branch is not on the remote, resolve in order:
+ * 1. The branch's configured upstream (@{u}) on the same remote
+ * 2. The branch of the same name on the remote
+ * 3. The merge-base with the remote's default branch (only with the mergeBase fallback)
+ * 4. The remote's default branch
  * @param {string} gitRoot - The git repository root
- * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
- * @returns {Promise<Object|null>} - The GitHub repository info or null if not found
+ * @param {boolean} useCommitHash - Whether to use commit hash instead of branch name
+ * @param {string|null} remoteName - The remote name to check for branch existence
+ * @param {Object} options - Optional fallback ('defaultBranch' or 'mergeBase') and remote check options, see getRefOptions
+ * @returns {Promise<Object>} - Object with ref, type, localBranch, remoteName, fellBackToMain and source
  */
-async function getGitHubRepositoryInfo(gitRoot, config) {
-    const configUrl = getConfiguredRepositoryUrl(config);
-    const normalizedConfigUrl = normalizeGitHubUrl(configUrl);
-    if (normalizedConfigUrl) {
+async function getGitHubRef(gitRoot, useCommitHash = false, remoteName = null, options = {}) {
+    if (useCommitHash) {
+        const { stdout } = await runGit(gitRoot, ['rev-parse', 'HEAD']);
         return {
-            url: normalizedConfigUrl,
-            remoteName: await getRemoteNameForRepositoryUrl(gitRoot, normalizedConfigUrl)
+            ref: stdout.trim(),
+            type: 'commit',
+            localBranch: null,
+            remoteName,
+            fellBackToMain: false,
+            source: 'commitHash'
         };
     }
 
-    for (const remote of PREFERRED_REMOTES) {
-        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, remote);
-        if (repositoryInfo) {
-            return repositoryInfo;
-        }
+    const { stdout } = await runGit(gitRoot, ['branch', '--show-current']);
+    const localBranch = stdout.trim();
+    if (!localBranch) {
+        const { stdout: commit } = await runGit(gitRoot, ['rev-parse', 'HEAD']);
+        return {
+            ref: commit.trim(),
+            type: 'commit',
+            localBranch: null,
+            remoteName,
+            fellBackToMain: false,
+            source: 'detachedHead'
+        };
     }
 
-    const allRemotes = await getAllRemotes(gitRoot);
-    for (const remote of allRemotes) {
-        if (PREFERRED_REMOTES.includes(remote)) {
-            continue;
+    const branchRef = (ref, source) => ({
+        ref,
+        type: 'branch',
+        localBranch,
+        remoteName,
+        fellBackToMain: source === 'defaultBranch',
+        source
+    });
+
+    if (!remoteName) {
+        return branchRef(localBranch, 'localBranch');
+    }
+
+    const upstream = await getUpstreamBranch(gitRoot, localBranch);
+    const hasUpstreamOnRemote = upstream && upstream.remoteName === remoteName;
+    addTrace(options.trace, upstream
+        ? `Local branch ${localBranch} tracks ${upstream.remoteName}/${upstream.branch}` +
+            (hasUpstreamOnRemote ? '' : `, which is not on ${remoteName}`)
+        : `Local branch ${localBranch} has no upstream`);
+    if (hasUpstreamOnRemote && await remoteBranchExists(gitRoot, remoteName, upstream.branch, options)) {
+        return branchRef(upstream.branch, upstream.branch === localBranch ? 'remoteBranch' : 'upstream');
+    }
+
+    const sameNameAlreadyChecked = hasUpstreamOnRemote && upstream.branch === localBranch;
+    if (!sameNameAlreadyChecked && await remoteBranchExists(gitRoot, remoteName, localBranch, options)) {
+        return branchRef(localBranch, 'remoteBranch');
+    }
+
+    const remoteDefaultBranch = await getRemoteDefaultBranch(gitRoot, remoteName, options);
+    if (!remoteDefaultBranch) {
+        addTrace(options.trace, `Assuming the default branch of ${remoteName} is ${FALLBACK_BRANCH}`);
+    }
+    const defaultBranch = remoteDefaultBranch || FALLBACK_BRANCH;
+    if (localBranch === defaultBranch) {
+        return branchRef(localBranch, 'localBranch');
+    }
+
+    if (options.fallback === 'mergeBase') {
+        const mergeBase = await getMergeBase(gitRoot, remoteName, defaultBranch);
+        if (mergeBase) {
+            return {
+                ref: mergeBase,
+                type: 'commit',
+                localBranch,
+                remoteName,
+                fellBackToMain: true,
+                defaultBranch,
+                source: 'mergeBase'
+            };
         }
+    }
+
+    return {
+        ...branchRef(defaultBranch, 'defaultBranch'),
+        defaultBranch
+    };
+}
+
+/**
+ * Describe why a ref was chosen, for showing to the user.
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @returns {string} - A short explanation, or an empty string when the ref needs no explanation
+ */
+function describeRefReason(gitRefInfo) {
+    switch (gitRefInfo.source) {
+        case 'upstream':
+            return `tracked upstream of local branch ${gitRefInfo.localBranch}`;
+        case 'defaultBranch':
+            return `local branch ${gitRefInfo.localBranch} not found on ${gitRefInfo.remoteName}; using its default branch`;
+        case 'mergeBase':
+            return `local branch ${gitRefInfo.localBranch} not found on ${gitRefInfo.remoteName}; ` +
+                `using its merge-base with ${gitRefInfo.defaultBranch}`;
+        case 'detachedHead':
+            return 'detached HEAD';
+        case 'pathMapping':
+            return 'ref from openInGithub.pathMappings';
+        case 'pathMappingBranch':
+            return `commit ${gitRefInfo.localCommit.substring(0, 8)} is not in the repository openInGithub.pathMappings links to; ` +
+                `using branch ${gitRefInfo.ref}, set a ref on the mapping to choose another`;
+        case 'gitRevision':
+            return `revision ${gitRefInfo.revision} open in the editor`;
+        case 'submoduleCommit':
+            return `commit the superproject pins submodule ${gitRefInfo.submodulePath} to`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Resolve symlinks in a path. Paths that do not exist keep their last segment unresolved.
+ * @param {string} filePath - The path
+ * @returns {string} - The real path
+ */
+function resolveRealPath(filePath) {
+    try {
+        return fs.realpathSync.native(filePath);
+    } catch (error) {
+        try {
+            return path.join(fs.realpathSync.native(path.dirname(filePath)), path.basename(filePath));
+        } catch (parentError) {
+            return filePath;
+        }
+    }
+}
+
+/**
+ * Get the relative path from git root to the file.
+ * Symlinks are resolved on both sides, since git reports the real repository root.
+ * @param {string} filePath - The absolute file path
+ * @param {string} gitRoot - The git repository root
+ * @returns {string} - The relative path from git root
+ */
+function getRelativePath(filePath, gitRoot) {
+    return path.relative(resolveRealPath(gitRoot), resolveRealPath(filePath)).replace(/\\/g, '/');
+}
+
+/**
+ * Get a local ref with the same content as the resolved remote ref, for comparing against the working copy.
+ * Branches are compared against their remote-tracking ref, since the local branch may have unpushed commits.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @returns {Promise<string|null>} - A ref that resolves locally, or null if none is available
+ */
+async function getComparableRef(gitRoot, gitRefInfo) {
+    const candidates = gitRefInfo.type === 'commit'
+        ? [gitRefInfo.ref]
+        : [gitRefInfo.remoteName ? `refs/remotes/${gitRefInfo.remoteName}/${gitRefInfo.ref}` : null, gitRefInfo.ref];
+
+    for (const candidate of candidates.filter(Boolean)) {
+        try {
+            await runGit(gitRoot, ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`]);
+            return candidate;
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse the hunk headers of a unified diff.
+ * @param {string} diffOutput - Output of git diff
+ * @returns {Object[]} - Hunks with oldStart, oldCount, newStart and newCount
+ */
+function parseDiffHunks(diffOutput) {
+    const hunks = [];
+    for (const line of diffOutput.split('\n')) {
+        const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (match) {
+            hunks.push({
+                oldStart: Number(match[1]),
+                oldCount: match[2] === undefined ? 1 : Number(match[2]),
+                newStart: Number(match[3]),
+                newCount: match[4] === undefined ? 1 : Number(match[4])
+            });
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * Map a local line number onto the remote version of a file.
+ * @param {Object[]} hunks - Hunks from diffing the remote (old) and local (new) file, see parseDiffHunks
+ * @param {number} line - The 1-based local line number
+ * @returns {Object|null} - Object with the remote line and whether it was changed locally, or null if it was added locally
+ */
+function mapLineThroughHunks(hunks, line) {
+    let delta = 0;
+    for (const hunk of hunks) {
+        if (hunk.newCount === 0) {
+            // Pure deletions sit after newStart in the local file
+            if (line <= hunk.newStart) {
+                break;
+            }
+        } else {
+            if (line < hunk.newStart) {
+                break;
+            }
+
+            if (line < hunk.newStart + hunk.newCount) {
+                if (hunk.oldCount === 0) {
+                    return null;
+                }
+
+                return {
+                    line: hunk.oldStart + Math.min(line - hunk.newStart, hunk.oldCount - 1),
+                    changed: true
+                };
+            }
+        }
+
+        delta += hunk.newCount - hunk.oldCount;
+    }
+
+    return {
+        line: line - delta,
+        changed: false
+    };
+}
+
+/**
+ * Map a local line range onto the remote version of a file.
+ * Lines added locally are skipped; columns are kept only when both ends are unchanged.
+ * @param {Object[]} hunks - Hunks from diffing the remote (old) and local (new) file
+ * @param {Object} lines - The local 1-based line range
+ * @returns {Object|null} - The remote line range, or null if none of the lines exist remotely
+ */
+function mapLineRange(hunks, lines) {
+    const mappedLines = [];
+    for (let line = lines.start; line <= lines.end; line++) {
+        const mapped = mapLineThroughHunks(hunks, line);
+        if (mapped) {
+            mappedLines.push(mapped);
+        }
+    }
+
+    if (mappedLines.length === 0) {
+        return null;
+    }
+
+    const first = mappedLines[0];
+    const last = mappedLines[mappedLines.length - 1];
+    const mappedRange = {
+        start: first.line,
+        end: last.line
+    };
+
+    const endsKept = mappedLines.length === lines.end - lines.start + 1 && !first.changed && !last.changed;
+    if (lines.startColumn && lines.endColumn && endsKept) {
+        mappedRange.startColumn = lines.startColumn;
+        mappedRange.endColumn = lines.endColumn;
+    }
+
+    return mappedRange;
+}
+
+/**
+ * Diff the local file contents against the resolved remote ref.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} relativePath - The relative path from git root
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @param {string} localText - The current (possibly unsaved) file contents
+ * @returns {Promise<Object|null>} - Object with ref, exists and hunks, or null if the remote ref is not available locally
+ */
+async function getRemoteLineMapping(gitRoot, relativePath, gitRefInfo, localText) {
+    const comparableRef = await getComparableRef(gitRoot, gitRefInfo);
+    if (!comparableRef) {
+        return null;
+    }
+
+    let remoteText;
+    try {
+        const { stdout } = await runGit(gitRoot, ['show', `${comparableRef}:${relativePath}`], {
+            maxBuffer: 64 * 1024 * 1024
+        });
+        remoteText = stdout;
+    } catch (error) {
+        return { ref: comparableRef, exists: false, hunks: [] };
+    }
+
+    const normalizeLineEndings = (text) => text.replace(/\r\n/g, '\n');
+    remoteText = normalizeLineEndings(remoteText);
+    localText = normalizeLineEndings(localText);
+    if (remoteText === localText) {
+        return { ref: comparableRef, exists: true, hunks: [] };
+    }
+
+    // Diff through temporary files so unsaved editor changes are taken into account
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-in-github-diff-'));
+    try {
+        const remoteFile = path.join(tempDir, 'remote');
+        const localFile = path.join(tempDir, 'local');
+        fs.writeFileSync(remoteFile, remoteText);
+        fs.writeFileSync(localFile, localText);
+
+        let diffOutput = '';
+        try {
+            await runGit(gitRoot, ['diff', '--no-index', '--no-color', '--no-ext-diff', '-U0', remoteFile, localFile], {
+                maxBuffer: 64 * 1024 * 1024
+            });
+        } catch (error) {
+            // git diff --no-index exits with 1 when the files differ
+            if (error.code !== 1) {
+                throw error;
+            }
+            diffOutput = error.stdout;
+        }
+
+        return { ref: comparableRef, exists: true, hunks: parseDiffHunks(diffOutput) };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Get the URL for a specific git remote
+ * @param {string} gitRoot - The git repository root
+ * @param {string} remoteName - The name of the remote
+ * @returns {Promise<string|null>} - The remote URL or null if remote doesn't exist
+ */
+async function getRemoteUrl(gitRoot, remoteName) {
+    try {
+        const { stdout } = await runGit(gitRoot, ['remote', 'get-url', remoteName]);
+        return stdout.trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get all git remote names
+ * @param {string} gitRoot - The git repository root
+ * @returns {Promise<string[]>} - Array of remote names
+ */
+async function getAllRemotes(gitRoot) {
+    try {
+        const { stdout } = await runGit(gitRoot, ['remote']);
+        return stdout.trim().split('\n').filter(name => name.length > 0);
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Parse a git remote URL into its parts.
+ * Supports http(s)://, ssh://, git:// and scp-like user@host:path remotes.
+ * @param {string} url - The remote URL
+ * @returns {Object|null} - Object with protocol, user, host, port and path, or null if unparseable
+ */
+function parseRemoteUrl(url) {
+    if (!url) return null;
+
+    const trimmedUrl = url.trim();
+    const cleanPath = (remotePath) => remotePath
+        .replace(/[?#].*$/, '')
+        .replace(/^\/+|\/+$/g, '')
+        .replace(/\.git$/i, '');
+
+    // https://github.com/org/repo.git
+    // ssh://git@github.com:2222/org/repo.git
+    let match = trimmedUrl.match(/^([a-z][a-z0-9+.-]*):\/\/(?:([^@/]+)@)?([^/:]+)(?::(\d+))?\/(.+)$/i);
+    if (match) {
+        return {
+            protocol: match[1].toLowerCase(),
+            user: match[2] || null,
+            host: match[3].toLowerCase(),
+            port: match[4] || null,
+            path: cleanPath(match[5])
+        };
+    }
+
+    // git@github.com:org/repo.git
+    match = trimmedUrl.match(/^(?:([^@/]+)@)?([^/:\s]+):(?!\/\/)(.+)$/);
+    if (match) {
+        return {
+            protocol: 'ssh',
+            user: match[1] || null,
+            host: match[2].toLowerCase(),
+            port: null,
+            path: cleanPath(match[3])
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Parse Host/HostName pairs from an OpenSSH client config.
+ * Wildcard patterns are skipped since they cannot be used as a remote host directly.
+ * @param {string} content - The contents of an ssh config file
+ * @returns {Map<string, string>} - Map from host alias to real host name
+ */
+function parseSshConfig(content) {
+    const aliases = new Map();
+    let currentHosts = [];
+
+    for (const rawLine of (content || '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const match = line.match(/^(\S+?)\s*(?:=|\s)\s*(.+)$/);
+        if (!match) {
+            continue;
+        }
+
+        const keyword = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (keyword === 'host') {
+            currentHosts = value.split(/\s+/).filter(host => !/[*?!]/.test(host));
+        } else if (keyword === 'match') {
+            currentHosts = [];
+        } else if (keyword === 'hostname') {
+            for (const host of currentHosts) {
+                const alias = host.toLowerCase();
+                // ssh uses the first value it finds for each keyword
+                if (!aliases.has(alias)) {
+                    aliases.set(alias, value.toLowerCase());
+                }
+            }
+        }
+    }
+
+    return aliases;
+}
+
+/**
+ * Read SSH host aliases from the user's ~/.ssh/config.
+ * @returns {Map<string, string>} - Map from host alias to real host name, empty when there is no config
+ */
+function readSshHostAliases() {
+    try {
+        return parseSshConfig(fs.readFileSync(SSH_CONFIG_PATH, 'utf8'));
+    } catch (error) {
+        return new Map();
+    }
+}
+
+/**
+ * Normalize a host setting entry such as "https://github.example.com/" to a bare host name.
+ * @param {string} value - The configured host
+ * @returns {string|null} - The lowercased host name, or null if empty
+ */
+function normalizeHostName(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const host = value.trim()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+        .replace(/^[^@/]+@/, '')
+        .replace(/[/:].*$/, '')
+        .toLowerCase();
+    return host || null;
+}
+
+/**
+ * Format a line anchor such as #L10-L20 from 1-based line numbers.
+ * @param {Object|null} lines - Object with start and end line numbers
+ * @param {string} prefix - Prefix before the start line
+ * @param {string} separator - Separator between start and end line
+ * @returns {string} - The anchor, or an empty string when there are no lines
+ */
+function formatLineAnchor(lines, prefix, separator) {
+    if (!lines || !lines.start) {
+        return '';
+    }
+
+    if (!lines.end || lines.end === lines.start) {
+        return `#${prefix}${lines.start}`;
+    }
+
+    return `#${prefix}${lines.start}${separator}${lines.end}`;
+}
+
+/**
+ * Format a GitHub line anchor, including columns when the range has them (#L10C5-L12C8).
+ * @param {Object|null} lines - Object with start, end and optional startColumn and endColumn
+ * @returns {string} - The anchor, or an empty string when there are no lines
+ */
+function formatGitHubLineAnchor(lines) {
+    if (!lines || !lines.start || !lines.startColumn || !lines.endColumn) {
+        return formatLineAnchor(lines, 'L', '-L');
+    }
+
+    return `#L${lines.start}C${lines.startColumn}-L${lines.end || lines.start}C${lines.endColumn}`;
+}
+
+/**
+ * Join a repository URL with path segments, skipping empty segments.
+ * @param {string} repositoryUrl - The base repository URL
+ * @param {...string} segments - Path segments to append
+ * @returns {string} - The joined URL
+ */
+function joinUrlPath(repositoryUrl, ...segments) {
+    return [repositoryUrl, ...segments.filter(segment => segment)].join('/');
+}
+
+/**
+ * Percent-encode each segment of a slash-separated path, such as a file path or a branch name,
+ * so characters like #, ? and spaces do not end the URL path.
+ * @param {string} value - The path
+ * @returns {string} - The encoded path, with its slashes kept
+ */
+function encodeUrlPath(value) {
+    return (value || '').split('/').map(segment => encodeURIComponent(segment)).join('/');
+}
+
+/**
+ * Format the base...[owner:]branch range of a GitHub or Gitea compare URL, keeping slashes in branch names.
+ * @param {Object} target - Object with base, branch and optional headOwner
+ * @returns {string} - The encoded range
+ */
+function formatCompareRange(target) {
+    const headOwner = target.headOwner ? `${encodeURIComponent(target.headOwner)}:` : '';
+    return `${encodeUrlPath(target.base)}...${headOwner}${encodeUrlPath(target.branch)}`;
+}
+
+/**
+ * Normalize an owner/repo remote path, as used by GitHub, Bitbucket and Gitea.
+ * @param {Object} remote - The parsed remote, see parseRemoteUrl
+ * @param {string} origin - The web origin for the remote host
+ * @returns {string|null} - The repository web URL or null if the path is not owner/repo
+ */
+function normalizeOwnerRepoRemote(remote, origin) {
+    const segments = remote.path.split('/');
+    if (segments.length !== 2 || !segments[0] || !segments[1]) {
+        return null;
+    }
+
+    return `${origin}/${segments[0]}/${segments[1]}`;
+}
+
+/**
+ * Hosting providers keyed by id. Each provider recognizes its remote URLs and builds
+ * file, blame, history, tree, commit, pull request and new pull request (compare) URLs. blameUrl is left out by
+ * providers without a linkable blame view. Targets passed to the URL builders have
+ * ref, refType ('branch' or 'commit'), path and lines ({ start, end }) properties.
+ * Providers with supportsColumns also honor lines.startColumn and lines.endColumn.
+ */
+const HOSTING_PROVIDERS = {
+    github: {
+        id: 'github',
+        name: 'GitHub',
+        pullRequestName: 'PR',
+        defaultHosts: [DEFAULT_GITHUB_HOST],
+        supportsColumns: true,
+        normalizeRemote: normalizeOwnerRepoRemote,
+        fileUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'blob', encodeUrlPath(target.ref), encodeUrlPath(target.path)) + formatGitHubLineAnchor(target.lines),
+        blameUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'blame', encodeUrlPath(target.ref), encodeUrlPath(target.path)) + formatLineAnchor(target.lines, 'L', '-L'),
+        historyUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, 'commits', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        treeUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, 'tree', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        commitUrl: (repositoryUrl, sha) => joinUrlPath(repositoryUrl, 'commit', sha),
+        pullRequestUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'pull', String(number)),
+        compareUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'compare', formatCompareRange(target)) + '?expand=1',
+        issueUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'issues', String(number))
+    },
+    gitlab: {
+        id: 'gitlab',
+        name: 'GitLab',
+        pullRequestName: 'MR',
+        defaultHosts: ['gitlab.com'],
+        normalizeRemote: (remote, origin) => {
+            // GitLab supports nested groups, so anything with at least group/project is valid
+            const segments = remote.path.split('/');
+            if (segments.length < 2 || segments.some(segment => !segment)) {
+                return null;
+            }
+
+            return `${origin}/${remote.path}`;
+        },
+        fileUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, '-/blob', encodeUrlPath(target.ref), encodeUrlPath(target.path)) + formatLineAnchor(target.lines, 'L', '-'),
+        blameUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, '-/blame', encodeUrlPath(target.ref), encodeUrlPath(target.path)) + formatLineAnchor(target.lines, 'L', '-'),
+        historyUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, '-/commits', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        treeUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, '-/tree', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        commitUrl: (repositoryUrl, sha) => joinUrlPath(repositoryUrl, '-/commit', sha),
+        pullRequestUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, '-/merge_requests', String(number)),
+        // Merge requests from a fork are created in the fork, which targets its upstream project by default
+        compareUrl: (repositoryUrl, target) =>
+            `${joinUrlPath(target.headOwner ? target.headUrl : repositoryUrl, '-/merge_requests/new')}` +
+            `?merge_request%5Bsource_branch%5D=${encodeURIComponent(target.branch)}` +
+            (target.headOwner ? '' : `&merge_request%5Btarget_branch%5D=${encodeURIComponent(target.base)}`),
+        issueUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, '-/issues', String(number))
+    },
+    bitbucket: {
+        id: 'bitbucket',
+        name: 'Bitbucket',
+        pullRequestName: 'PR',
+        defaultHosts: ['bitbucket.org'],
+        normalizeRemote: normalizeOwnerRepoRemote,
+        fileUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'src', encodeUrlPath(target.ref), encodeUrlPath(target.path)) + formatLineAnchor(target.lines, 'lines-', ':'),
+        blameUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'annotate', encodeUrlPath(target.ref), encodeUrlPath(target.path)) + formatLineAnchor(target.lines, 'lines-', ':'),
+        historyUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, 'history-node', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        treeUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, 'src', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        commitUrl: (repositoryUrl, sha) => joinUrlPath(repositoryUrl, 'commits', sha),
+        pullRequestUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'pull-requests', String(number)),
+        compareUrl: (repositoryUrl, target) =>
+            `${joinUrlPath(target.headOwner ? target.headUrl : repositoryUrl, 'pull-requests/new')}` +
+            `?source=${encodeURIComponent(target.branch)}` +
+            (target.headOwner ? '' : `&dest=${encodeURIComponent(target.base)}`),
+        issueUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'issues', String(number))
+    },
+    gitea: {
+        id: 'gitea',
+        name: 'Gitea',
+        pullRequestName: 'PR',
+        defaultHosts: ['gitea.com', 'codeberg.org'],
+        normalizeRemote: normalizeOwnerRepoRemote,
+        fileUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'src', target.refType === 'commit' ? 'commit' : 'branch', encodeUrlPath(target.ref), encodeUrlPath(target.path)) +
+            formatLineAnchor(target.lines, 'L', '-L'),
+        blameUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'blame', target.refType === 'commit' ? 'commit' : 'branch', encodeUrlPath(target.ref), encodeUrlPath(target.path)) +
+            formatLineAnchor(target.lines, 'L', '-L'),
+        historyUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'commits', target.refType === 'commit' ? 'commit' : 'branch', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        treeUrl: (repositoryUrl, target) =>
+            joinUrlPath(repositoryUrl, 'src', target.refType === 'commit' ? 'commit' : 'branch', encodeUrlPath(target.ref), encodeUrlPath(target.path)),
+        commitUrl: (repositoryUrl, sha) => joinUrlPath(repositoryUrl, 'commit', sha),
+        pullRequestUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'pulls', String(number)),
+        compareUrl: (repositoryUrl, target) => joinUrlPath(repositoryUrl, 'compare', formatCompareRange(target)),
+        issueUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'issues', String(number))
+    },
+    azure: {
+        id: 'azure',
+        name: 'Azure DevOps',
+        pullRequestName: 'PR',
+        defaultHosts: ['dev.azure.com', 'ssh.dev.azure.com'],
+        supportsColumns: true,
+        normalizeRemote: (remote, origin) => {
+            // git@ssh.dev.azure.com:v3/org/project/repo
+            const sshMatch = remote.path.match(/^v3\/([^/]+)\/([^/]+)\/([^/]+)$/);
+            if (sshMatch) {
+                const webOrigin = origin.replace(/^https:\/\/ssh\./, 'https://');
+                return `${webOrigin}/${sshMatch[1]}/${sshMatch[2]}/_git/${sshMatch[3]}`;
+            }
+
+            // https://dev.azure.com/org/project/_git/repo
+            if (/^[^/]+(\/[^/]+)*\/_git\/[^/]+$/.test(remote.path)) {
+                return `${origin}/${remote.path}`;
+            }
+
+            return null;
+        },
+        fileUrl: (repositoryUrl, target) => {
+            const version = `${target.refType === 'commit' ? 'GC' : 'GB'}${target.ref}`;
+            let url = `${repositoryUrl}?path=${encodeURIComponent(`/${target.path}`)}&version=${encodeURIComponent(version)}`;
+            const lines = target.lines;
+            if (lines && lines.start && lines.startColumn && lines.endColumn) {
+                // Azure DevOps highlights up to, but not including, the end column
+                const lineEnd = lines.end || lines.start;
+                url += `&line=${lines.start}&lineEnd=${lineEnd}&lineStartColumn=${lines.startColumn}` +
+                    `&lineEndColumn=${lines.endColumn + 1}&lineStyle=plain&_a=contents`;
+            } else if (lines && lines.start) {
+                // Without columns, select whole lines by ending at the start of the next line
+                const lineEnd = (lines.end || lines.start) + 1;
+                url += `&line=${lines.start}&lineEnd=${lineEnd}&lineStartColumn=1&lineEndColumn=1&lineStyle=plain&_a=contents`;
+            }
+            return url;
+        },
+        historyUrl: (repositoryUrl, target) => {
+            const version = `${target.refType === 'commit' ? 'GC' : 'GB'}${target.ref}`;
+            return `${repositoryUrl}?path=${encodeURIComponent(`/${target.path}`)}&version=${encodeURIComponent(version)}&_a=history`;
+        },
+        treeUrl: (repositoryUrl, target) => {
+            const version = `${target.refType === 'commit' ? 'GC' : 'GB'}${target.ref}`;
+            const pathQuery = target.path ? `path=${encodeURIComponent(`/${target.path}`)}&` : '';
+            return `${repositoryUrl}?${pathQuery}version=${encodeURIComponent(version)}`;
+        },
+        commitUrl: (repositoryUrl, sha) => joinUrlPath(repositoryUrl, 'commit', sha),
+        pullRequestUrl: (repositoryUrl, number) => joinUrlPath(repositoryUrl, 'pullrequest', String(number)),
+        compareUrl: (repositoryUrl, target) =>
+            `${joinUrlPath(repositoryUrl, 'pullrequestcreate')}` +
+            `?sourceRef=${encodeURIComponent(target.branch)}&targetRef=${encodeURIComponent(target.base)}`,
+        // #123 in Azure Repos refers to a work item of the project
+        issueUrl: (repositoryUrl, number) =>
+            joinUrlPath(repositoryUrl.replace(/\/_git\/[^/]+$/, ''), '_workitems/edit', String(number))
+    }
+};
+
+/**
+ * Get a hosting provider by id, defaulting to GitHub.
+ * @param {string} providerId - The provider id
+ * @returns {Object} - The hosting provider
+ */
+function getHostingProvider(providerId) {
+    return HOSTING_PROVIDERS[providerId] || HOSTING_PROVIDERS.github;
+}
+
+/**
+ * Get the default host to provider mapping for every provider except GitHub,
+ * whose hosts are tracked separately so GitHub Enterprise hosts can be added.
+ * @returns {Map<string, string>} - Map from host name to provider id
+ */
+function getDefaultProviderHosts() {
+    const providerHosts = new Map();
+    for (const provider of Object.values(HOSTING_PROVIDERS)) {
+        if (provider.id === 'github') {
+            continue;
+        }
+
+        for (const host of provider.defaultHosts) {
+            providerHosts.set(host, provider.id);
+        }
+    }
+
+    return providerHosts;
+}
+
+/**
+ * Get the host options used to recognize remotes.
+ * github.com is always recognized; GitHub Enterprise hosts come from openInGithub.githubHosts
+ * and self-hosted GitLab, Bitbucket, Gitea and Azure DevOps hosts from openInGithub.providerHosts.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Object} - Object with hosts, providerHosts and sshHostAliases
+ */
+function getHostOptions(config) {
+    const getSetting = (key, defaultValue) => config && typeof config.get === 'function'
+        ? config.get(key, defaultValue)
+        : defaultValue;
+
+    const configuredHosts = getSetting('githubHosts', []);
+    const hosts = [DEFAULT_GITHUB_HOST];
+    for (const host of Array.isArray(configuredHosts) ? configuredHosts : []) {
+        const hostName = normalizeHostName(host);
+        if (hostName && !hosts.includes(hostName)) {
+            hosts.push(hostName);
+        }
+    }
+
+    const providerHosts = getDefaultProviderHosts();
+    const configuredProviderHosts = getSetting('providerHosts', {});
+    for (const [host, providerId] of Object.entries(configuredProviderHosts || {})) {
+        const hostName = normalizeHostName(host);
+        if (!hostName || !HOSTING_PROVIDERS[providerId]) {
+            continue;
+        }
+
+        if (providerId === 'github') {
+            if (!hosts.includes(hostName)) {
+                hosts.push(hostName);
+            }
+        } else {
+            providerHosts.set(hostName, providerId);
+        }
+    }
+
+    return {
+        hosts,
+        providerHosts,
+        sshHostAliases: readSshHostAliases()
+    };
+}
+
+/**
+ * Normalize a remote URL for any supported hosting provider.
+ * @param {string} url - The remote URL in any format
+ * @param {Object} hostOptions - Optional hosts, providerHosts and sshHostAliases, see getHostOptions
+ * @returns {Object|null} - Object with provider id and normalized web url, or null if unsupported
+ */
+function normalizeRemoteUrl(url, hostOptions = {}) {
+    const remote = parseRemoteUrl(url);
+    if (!remote) return null;
+
+    const hosts = hostOptions.hosts || [DEFAULT_GITHUB_HOST];
+    const providerHosts = hostOptions.providerHosts || getDefaultProviderHosts();
+    const sshHostAliases = hostOptions.sshHostAliases || new Map();
+
+    // SSH remotes may use an alias from ~/.ssh/config instead of the real host
+    const isHttp = remote.protocol === 'http' || remote.protocol === 'https';
+    const host = !isHttp && sshHostAliases.has(remote.host)
+        ? sshHostAliases.get(remote.host)
+        : remote.host;
+    const providerId = hosts.includes(host) ? 'github' : providerHosts.get(host);
+    if (!providerId) {
+        return null;
+    }
+
+    // Keep the port for web remotes; SSH ports say nothing about where the web UI lives
+    const origin = isHttp
+        ? `${remote.protocol}://${host}${remote.port ? `:${remote.port}` : ''}`
+        : `https://${host}`;
+    const normalized = getHostingProvider(providerId).normalizeRemote(remote, origin);
+    if (!normalized) {
+        return null;
+    }
+
+    return {
+        provider: providerId,
+        url: normalized
+    };
+}
+
+/**
+ * Check if a URL points to GitHub
+ * @param {string} url - The URL to check
+ * @param {Object} hostOptions - Optional hosts and sshHostAliases, see getHostOptions
+ * @returns {boolean} - True if URL points to GitHub
+ */
+function isGitHubUrl(url, hostOptions = {}) {
+    return normalizeGitHubUrl(url, hostOptions) !== null;
+}
+
+/**
+ * Normalize a GitHub URL to https://<host>/org/repo format
+ * @param {string} url - The GitHub URL in any format
+ * @param {Object} hostOptions - Optional hosts and sshHostAliases, see getHostOptions
+ * @returns {string|null} - Normalized URL or null if invalid
+ */
+function normalizeGitHubUrl(url, hostOptions = {}) {
+    const normalized = normalizeRemoteUrl(url, hostOptions);
+    return normalized && normalized.provider === 'github' ? normalized.url : null;
+}
+
+/**
+ * Read repositoryUrl only when it was explicitly configured by the user/workspace.
+ * Extension defaults are intentionally ignored so stale manifest defaults cannot override remotes.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {string|null} - Configured repository URL or null when remotes should be inferred
+ */
+function getConfiguredRepositoryUrl(config) {
+    return inspectConfiguredRepositoryUrl(config).url;
+}
+
+// Settings scopes, most specific first, as reported by WorkspaceConfiguration.inspect
+const REPOSITORY_URL_SCOPES = {
+    workspaceFolderLanguageValue: 'workspace folder settings (language-specific)',
+    workspaceFolderValue: 'workspace folder settings',
+    workspaceLanguageValue: 'workspace settings (language-specific)',
+    workspaceValue: 'workspace settings',
+    globalLanguageValue: 'user settings (language-specific)',
+    globalValue: 'user settings'
+};
+
+/**
+ * Read repositoryUrl and the settings scope it comes from, see getConfiguredRepositoryUrl.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Object} - Object with url (null when remotes should be inferred) and scope (a description, or null when unknown)
+ */
+function inspectConfiguredRepositoryUrl(config) {
+    const normalizeConfigValue = (value) => {
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const trimmedValue = value.trim();
+        return trimmedValue || null;
+    };
+
+    if (config && typeof config.inspect === 'function') {
+        const inspection = config.inspect('repositoryUrl');
+        if (inspection) {
+            for (const [key, scope] of Object.entries(REPOSITORY_URL_SCOPES)) {
+                if (inspection[key] !== undefined) {
+                    return { url: normalizeConfigValue(inspection[key]), scope };
+                }
+            }
+
+            return { url: null, scope: null };
+        }
+    }
+
+    if (config && typeof config.get === 'function') {
+        return { url: normalizeConfigValue(config.get('repositoryUrl', '')), scope: null };
+    }
+
+    return { url: null, scope: null };
+}
+
+/**
+ * Get a normalized repository URL for a remote.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} remoteName - The remote name
+ * @param {Object} hostOptions - The host options used to recognize remotes, see getHostOptions
+ * @returns {Promise<Object|null>} - The repository info or null if remote is missing or not a supported provider
+ */
+async function getGitHubRepositoryInfoForRemote(gitRoot, remoteName, hostOptions) {
+    const remoteUrl = await getRemoteUrl(gitRoot, remoteName);
+    const normalized = normalizeRemoteUrl(remoteUrl, hostOptions);
+    if (!normalized) {
+        return null;
+    }
+
+    return {
+        url: normalized.url,
+        remoteName,
+        provider: normalized.provider
+    };
+}
+
+/**
+ * Find the configured git remote for a normalized repository URL.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} repositoryUrl - The normalized repository URL
+ * @param {Object} hostOptions - The host options used to recognize remotes, see getHostOptions
+ * @returns {Promise<string|null>} - Matching remote name or null if none match
+ */
+async function getRemoteNameForRepositoryUrl(gitRoot, repositoryUrl, hostOptions = {}) {
+    const allRemotes = await getAllRemotes(gitRoot);
+    for (const remote of allRemotes) {
+        const remoteUrl = await getRemoteUrl(gitRoot, remote);
+        const normalized = normalizeRemoteUrl(remoteUrl, hostOptions);
+        if (normalized && normalized.url === repositoryUrl) {
+            return remote;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the remote names to prefer, in order, from the workspace configuration.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {string[]} - The remote names
+ */
+function getRemotePriority(config) {
+    const remotePriority = config && typeof config.get === 'function'
+        ? config.get('remotePriority', DEFAULT_REMOTE_PRIORITY)
+        : DEFAULT_REMOTE_PRIORITY;
+    if (!Array.isArray(remotePriority)) {
+        return DEFAULT_REMOTE_PRIORITY;
+    }
+
+    return remotePriority.filter(remote => typeof remote === 'string' && remote.trim()).map(remote => remote.trim());
+}
+
+/**
+ * Get a remote, or another choice, remembered for a git repository in this workspace.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} key - REMEMBERED_REMOTES_KEY, BRANCH_REMOTES_KEY or SUBMODULE_LINKS_KEY
+ * @returns {string|null} - The remote name or null if none is remembered
+ */
+function getRememberedRemote(gitRoot, key = REMEMBERED_REMOTES_KEY) {
+    if (!extensionContext) {
+        return null;
+    }
+
+    return extensionContext.workspaceState.get(key, {})[gitRoot] || null;
+}
+
+/**
+ * Remember a remote, or another choice, for a git repository in this workspace.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} remoteName - The remote name
+ * @param {string} key - REMEMBERED_REMOTES_KEY, BRANCH_REMOTES_KEY or SUBMODULE_LINKS_KEY
+ */
+async function rememberRemote(gitRoot, remoteName, key = REMEMBERED_REMOTES_KEY) {
+    if (!extensionContext) {
+        return;
+    }
+
+    const rememberedRemotes = extensionContext.workspaceState.get(key, {});
+    await extensionContext.workspaceState.update(key, { ...rememberedRemotes, [gitRoot]: remoteName });
+}
+
+/**
+ * Forget every remembered remote and submodule link choice in this workspace.
+ */
+async function resetRememberedRemotes() {
+    await extensionContext.workspaceState.update(REMEMBERED_REMOTES_KEY, undefined);
+    await extensionContext.workspaceState.update(BRANCH_REMOTES_KEY, undefined);
+    await extensionContext.workspaceState.update(SUBMODULE_LINKS_KEY, undefined);
+    vscode.window.showInformationMessage('Open in GitHub: forgot the remembered remote and submodule choices for this workspace');
+}
+
+/**
+ * Get repository URL following strict priority order:
+ * 1. Configuration setting (if set)
+ * 2. The remote last chosen in this workspace (if it still points to a supported provider)
+ * 3. The remotes in openInGithub.remotePriority, upstream then origin by default
+ * 4. First supported remote from all remotes
+ * 5. null if none found
+ * @param {string} gitRoot - The git repository root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {string[]|null} trace - Optional list the steps taken are added to, see explainLinkResolution
+ * @returns {Promise<Object|null>} - The repository info (url, remoteName, provider) or null if not found
+ */
+async function getGitHubRepositoryInfo(gitRoot, config, trace = null) {
+    const hostOptions = getHostOptions(config);
+    const configured = inspectConfiguredRepositoryUrl(config);
+    const configUrl = configured.url;
+    const normalizedConfigUrl = normalizeRemoteUrl(configUrl, hostOptions);
+    if (configUrl) {
+        addTrace(trace, `openInGithub.repositoryUrl is ${configUrl}` +
+            (configured.scope ? ` in ${configured.scope}` : '') +
+            (normalizedConfigUrl ? '' : ', which is not a supported repository URL, so it is ignored'));
+    } else {
+        addTrace(trace, 'openInGithub.repositoryUrl is not set');
+    }
+    if (normalizedConfigUrl) {
+        return {
+            url: normalizedConfigUrl.url,
+            remoteName: await getRemoteNameForRepositoryUrl(gitRoot, normalizedConfigUrl.url, hostOptions),
+            provider: normalizedConfigUrl.provider
+        };
+    }
+
+    const rememberedRemote = getRememberedRemote(gitRoot);
+    if (rememberedRemote) {
+        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, rememberedRemote, hostOptions);
+        if (repositoryInfo) {
+            addTrace(trace, `Using remote ${rememberedRemote}, chosen earlier in this workspace`);
+            return repositoryInfo;
+        }
+        addTrace(trace, `Remote ${rememberedRemote}, chosen earlier in this workspace, is missing or not supported`);
+    }
+
+    const remotePriority = getRemotePriority(config);
+    for (const remote of remotePriority) {
+        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, remote, hostOptions);
+        if (repositoryInfo) {
+            addTrace(trace, `Using remote ${remote}, the first supported one in openInGithub.remotePriority (${remotePriority.join(', ')})`);
+            return repositoryInfo;
+        }
+    }
+
+    const allRemotes = await getAllRemotes(gitRoot);
+    for (const remote of allRemotes) {
+        if (remotePriority.includes(remote)) {
+            continue;
+        }
+
+        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, remote, hostOptions);
+        if (repositoryInfo) {
+            addTrace(trace, `Using remote ${remote}: none in openInGithub.remotePriority (${remotePriority.join(', ')}) is supported`);
+            return repositoryInfo;
+        }
+    }
+
+    addTrace(trace, 'No remote points to a supported host');
+    return null;
+}
+
+/**
+ * Get the repository info for a command, asking which remote to use when
+ * openInGithub.remoteSelection is 'ask' and no choice is remembered yet.
+ * Shows an error when there is no supported remote.
+ * @param {string} gitRoot - The git repository root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Promise<Object|null>} - The repository info, or null when there is none or the user cancelled
+ */
+async function getRepositoryInfoForCommand(gitRoot, config) {
+    const hostOptions = getHostOptions(config);
+    const shouldAsk = config.get('remoteSelection', 'priority') === 'ask' && !getConfiguredRepositoryUrl(config);
+    const rememberedRemote = getRememberedRemote(gitRoot);
+    const hasRememberedRemote = rememberedRemote &&
+        await getGitHubRepositoryInfoForRemote(gitRoot, rememberedRemote, hostOptions);
+    if (shouldAsk && !hasRememberedRemote) {
+        const repositoryInfos = await getAllRepositoryInfos(gitRoot, hostOptions, getRemotePriority(config));
+        if (repositoryInfos.length > 1) {
+            const choice = await vscode.window.showQuickPick(
+                repositoryInfos.map(info => ({ label: info.remoteName, description: info.url, repositoryInfo: info })),
+                { placeHolder: 'Which remote should links point to? The choice is remembered for this workspace.' }
+            );
+            if (!choice) {
+                return null;
+            }
+
+            await rememberRemote(gitRoot, choice.repositoryInfo.remoteName);
+            return choice.repositoryInfo;
+        }
+    }
+
+    const repositoryInfo = await getGitHubRepositoryInfo(gitRoot, config);
+    if (!repositoryInfo) {
+        showError('Could not determine repository URL. Please configure openInGithub.repositoryUrl or ensure a supported git remote exists.');
+    }
+
+    return repositoryInfo;
+}
+
+/**
+ * Get the repository info for every remote that points to a supported provider,
+ * in the order getGitHubRepositoryInfo prefers them.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} hostOptions - The host options used to recognize remotes, see getHostOptions
+ * @param {string[]} remotePriority - The remote names to prefer, see getRemotePriority
+ * @returns {Promise<Object[]>} - Repository infos (url, remoteName, provider)
+ */
+async function getAllRepositoryInfos(gitRoot, hostOptions, remotePriority = DEFAULT_REMOTE_PRIORITY) {
+    const allRemotes = await getAllRemotes(gitRoot);
+    const orderedRemotes = [
+        ...remotePriority.filter(remote => allRemotes.includes(remote)),
+        ...allRemotes.filter(remote => !remotePriority.includes(remote))
+    ];
+
+    const repositoryInfos = [];
+    for (const remote of orderedRemotes) {
+        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, remote, hostOptions);
+        if (repositoryInfo) {
+            repositoryInfos.push(repositoryInfo);
+        }
+    }
+
+    return repositoryInfos;
+}
+
+/**
+ * Check whether a local branch is on a remote, either as its upstream or under the same name.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} remoteName - The remote name
+ * @param {string} branchName - The local branch name
+ * @param {Object} options - Remote check options, see getRefOptions
+ * @returns {Promise<boolean>} - True if getGitHubRef would find the branch on the remote
+ */
+async function remoteHasLocalBranch(gitRoot, remoteName, branchName, options = {}) {
+    const upstream = await getUpstreamBranch(gitRoot, branchName);
+    if (upstream && upstream.remoteName === remoteName &&
+        await remoteBranchExists(gitRoot, remoteName, upstream.branch, options)) {
+        return true;
+    }
+
+    return remoteBranchExists(gitRoot, remoteName, branchName, options);
+}
+
+/**
+ * Find the repositories that have the current branch, in order of preference.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object[]} repositoryInfos - Repository infos, see getAllRepositoryInfos
+ * @param {Object} options - Remote check options, see getRefOptions
+ * @returns {Promise<Object[]>} - The repository infos whose remote has the branch
+ */
+async function findRepositoriesWithBranch(gitRoot, repositoryInfos, options = {}) {
+    const { stdout } = await runGit(gitRoot, ['branch', '--show-current']);
+    const localBranch = stdout.trim();
+    if (!localBranch) {
+        return [];
+    }
+
+    const repositoriesWithBranch = [];
+    for (const repositoryInfo of repositoryInfos) {
+        if (await remoteHasLocalBranch(gitRoot, repositoryInfo.remoteName, localBranch, options)) {
+            repositoriesWithBranch.push(repositoryInfo);
+        }
+    }
+
+    return repositoriesWithBranch;
+}
+
+/**
+ * Pick the repository to link to for the current branch. Feature branches are often only
+ * pushed to a fork (origin) while upstream is preferred, so every remote is checked and the
+ * one that has the branch is used. When several have it, the user picks one and the choice
+ * is remembered per workspace.
+ * @param {string} gitRoot - The git repository root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {Object} repositoryInfo - The preferred repository info from getGitHubRepositoryInfo
+ * @param {Object} refOptions - Remote check options, see getRefOptions
+ * @param {boolean} interactive - Whether the user may be asked; otherwise the preferred repository is kept when several have the branch
+ * @returns {Promise<Object|null>} - The repository info to use, or null when the user cancelled
+ */
+async function pickRepositoryForBranch(gitRoot, config, repositoryInfo, refOptions = getRefOptions(config), interactive = true) {
+    // A repository URL or remote the user chose explicitly wins
+    if (getConfiguredRepositoryUrl(config) || getRememberedRemote(gitRoot) === repositoryInfo.remoteName) {
+        return repositoryInfo;
+    }
+
+    const repositoryInfos = await getAllRepositoryInfos(gitRoot, getHostOptions(config), getRemotePriority(config));
+    if (repositoryInfos.length < 2) {
+        return repositoryInfo;
+    }
+
+    const repositoriesWithBranch = await findRepositoriesWithBranch(gitRoot, repositoryInfos, refOptions);
+    if (repositoriesWithBranch.length === 0) {
+        addTrace(refOptions.trace, `No remote has the current branch, so ${repositoryInfo.remoteName} is kept`);
+        return repositoryInfo;
+    }
+
+    if (repositoriesWithBranch.length === 1) {
+        addTrace(refOptions.trace, `Using remote ${repositoriesWithBranch[0].remoteName}, the only one with the current branch`);
+        return repositoriesWithBranch[0];
+    }
+
+    const rememberedRemote = getRememberedRemote(gitRoot, BRANCH_REMOTES_KEY);
+    const remembered = repositoriesWithBranch.find(info => info.remoteName === rememberedRemote);
+    if (remembered) {
+        addTrace(refOptions.trace, `Using remote ${remembered.remoteName}, chosen earlier for branches on several remotes`);
+        return remembered;
+    }
+
+    if (!interactive) {
+        const preferred = repositoriesWithBranch.find(info => info.url === repositoryInfo.url) || repositoriesWithBranch[0];
+        addTrace(refOptions.trace, `Remotes ${repositoriesWithBranch.map(info => info.remoteName).join(', ')} have the current branch; ` +
+            `links ask which one to use, ${preferred.remoteName} is assumed here`);
+        return preferred;
+    }
+
+    const choice = await vscode.window.showQuickPick(
+        repositoriesWithBranch.map(info => ({ label: info.remoteName, description: info.url, repositoryInfo: info })),
+        { placeHolder: 'The current branch is on several remotes. Which one should links point to?' }
+    );
+    if (!choice) {
+        return null;
+    }
+
+    await rememberRemote(gitRoot, choice.repositoryInfo.remoteName, BRANCH_REMOTES_KEY);
+
+    return choice.repositoryInfo;
+}
+
+/**
+ * Resolve a relative submodule URL (./ or ../) against the superproject's remote URL, like git does.
+ * @param {string} baseUrl - The superproject's remote URL
+ * @param {string} relativeUrl - The submodule URL from .gitmodules
+ * @returns {string} - The absolute submodule URL
+ */
+function resolveRelativeRemoteUrl(baseUrl, relativeUrl) {
+    let base = baseUrl.replace(/\/+$/, '');
+    let rest = relativeUrl;
+    while (rest.startsWith('./') || rest.startsWith('../')) {
+        if (rest.startsWith('./')) {
+            rest = rest.substring(2);
+            continue;
+        }
+
+        // Each ../ drops one path segment, including the repository after an scp-like host:
+        rest = rest.substring(3);
+        base = base.replace(/([/:])[^/:]*$/, (match, separator) => separator === ':' ? ':' : '');
+    }
+
+    return base.endsWith(':') ? `${base}${rest}` : `${base}/${rest}`;
+}
+
+/**
+ * Get the superproject of a submodule, the commit it pins the submodule to, and the
+ * submodule's repository as recorded in the superproject. Repositories that are merely
+ * nested inside another one, for example in an ignored directory, are not submodules.
+ * @param {string} gitRoot - The git repository root of the submodule
+ * @param {Object} hostOptions - The host options used to recognize remotes, see getHostOptions
+ * @returns {Promise<Object|null>} - Object with superprojectRoot, path, commit and repositoryInfo (null if the
+ *   submodule URL is not a supported remote), or null if this is not a submodule pinned by its superproject
+ */
+async function getSubmoduleInfo(gitRoot, hostOptions = {}) {
+    let superprojectRoot;
+    try {
+        const { stdout } = await runGit(gitRoot, ['rev-parse', '--show-superproject-working-tree']);
+        superprojectRoot = stdout.trim();
+    } catch (error) {
+        return null;
+    }
+    if (!superprojectRoot) {
+        return null;
+    }
+
+    const submodulePath = getRelativePath(gitRoot, superprojectRoot);
+    let commit;
+    try {
+        const { stdout } = await runGit(superprojectRoot, ['ls-tree', 'HEAD', '--', submodulePath]);
+        const match = stdout.match(/^160000 commit ([0-9a-f]+)\t/);
+        commit = match ? match[1] : null;
+    } catch (error) {
+        commit = null;
+    }
+    if (!commit) {
+        // Added but not committed in the superproject yet
+        return null;
+    }
+
+    const gitConfig = async (...args) => {
+        try {
+            const { stdout } = await runGit(superprojectRoot, ['config', ...args]);
+            return stdout.trim();
+        } catch (error) {
+            return '';
+        }
+    };
+
+    // `git submodule init` copies the (resolved) URL from .gitmodules into the superproject's config
+    const pathEntries = await gitConfig('--file', '.gitmodules', '--get-regexp', '^submodule\\..*\\.path$');
+    const pathEntry = pathEntries.split('\n').find(line => line.endsWith(` ${submodulePath}`));
+    const name = pathEntry ? pathEntry.replace(/^submodule\.(.*)\.path .*$/, '$1') : null;
+    let url = name
+        ? await gitConfig('--get', `submodule.${name}.url`) || await gitConfig('--file', '.gitmodules', '--get', `submodule.${name}.url`)
+        : '';
+
+    if (url.startsWith('./') || url.startsWith('../')) {
+        const superprojectRepositories = await getAllRepositoryInfos(superprojectRoot, hostOptions);
+        const baseUrl = superprojectRepositories.length > 0
+            ? await getRemoteUrl(superprojectRoot, superprojectRepositories[0].remoteName)
+            : null;
+        url = baseUrl ? resolveRelativeRemoteUrl(baseUrl, url) : '';
+    }
+
+    const normalized = normalizeRemoteUrl(url, hostOptions);
+    const repositoryInfo = normalized
+        ? {
+            url: normalized.url,
+            remoteName: await getRemoteNameForRepositoryUrl(gitRoot, normalized.url, hostOptions),
+            provider: normalized.provider
+        }
+        : null;
+
+    return {
+        superprojectRoot,
+        path: submodulePath,
+        commit,
+        repositoryInfo
+    };
+}
+
+/**
+ * Get the path mapping rules from the workspace configuration, skipping invalid ones.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Object[]} - Rules with localPath, repositoryUrl, remotePath and ref (null to keep the resolved ref)
+ */
+function getPathMappings(config) {
+    const pathMappings = config && typeof config.get === 'function' ? config.get('pathMappings', []) : [];
+    if (!Array.isArray(pathMappings)) {
+        return [];
+    }
+
+    return pathMappings
+        .filter(mapping => mapping && typeof mapping.localPath === 'string' && mapping.localPath.trim())
+        .map(mapping => ({
+            localPath: mapping.localPath.trim().replace(/^\/+|\/+$/g, ''),
+            repositoryUrl: typeof mapping.repositoryUrl === 'string' ? mapping.repositoryUrl.trim() : '',
+            remotePath: typeof mapping.remotePath === 'string' ? mapping.remotePath.trim().replace(/^\/+|\/+$/g, '') : '',
+            ref: typeof mapping.ref === 'string' && mapping.ref.trim() ? mapping.ref.trim() : null
+        }));
+}
+
+/**
+ * Convert a path prefix glob to a regular expression matching whole leading path segments.
+ * * and ? match within a segment and ** matches any number of segments; each wildcard is captured.
+ * @param {string} glob - The glob, relative to the git root
+ * @returns {RegExp} - The regular expression
+ */
+function pathGlobToRegExp(glob) {
+    const body = glob.split('/').map(segment => {
+        if (segment === '**') {
+            return '(.*?)';
+        }
+
+        return segment
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '([^/]*)')
+            .replace(/\?/g, '([^/])');
+    }).join('/')
+        .replace(/^\(\.\*\?\)\//, '(?:(.*?)/)?')
+        .replace(/\/\(\.\*\?\)\//g, '(?:/(.*?))?/');
+
+    return new RegExp(`^${body}(?=/|$)`);
+}
+
+/**
+ * Find the path mapping rule with the longest matching prefix, preferring the most specific rule.
+ * @param {Object[]} pathMappings - Rules from getPathMappings
+ * @param {string} relativePath - The relative path from git root
+ * @returns {Object|null} - Object with mapping, matched (the matched prefix) and captures, or null if no rule matches
+ */
+function findPathMapping(pathMappings, relativePath) {
+    // Ties, such as packages/* and packages/ui, go to the rule with fewer wildcards
+    const literalLength = (glob) => glob.replace(/[*?]/g, '').length;
+    let best = null;
+    for (const mapping of pathMappings) {
+        const match = relativePath.match(pathGlobToRegExp(mapping.localPath));
+        if (!match) {
+            continue;
+        }
+
+        if (!best || match[0].length > best.matched.length ||
+            (match[0].length === best.matched.length && literalLength(mapping.localPath) > literalLength(best.mapping.localPath))) {
+            best = { mapping, matched: match[0], captures: match.slice(1).map(capture => capture || '') };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Apply the path mapping rules to a link target. A matching rule rewrites the local path prefix,
+ * and can point the link at another repository and ref, for directories published from a monorepo.
+ * Without a ref, links to a commit of this repository use the local branch, or main, in the other repository.
+ * $1, $2, ... in repositoryUrl and remotePath are replaced with the wildcard matches.
+ * @param {string} relativePath - The relative path from git root
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @param {Object[]} pathMappings - Rules from getPathMappings
+ * @param {Object} hostOptions - The host options used to recognize repository URLs, see getHostOptions
+ * @returns {Object} - Object with relativePath, repositoryInfo, gitRefInfo and mapped
+ */
+function applyPathMapping(relativePath, repositoryInfo, gitRefInfo, pathMappings, hostOptions = {}) {
+    const match = findPathMapping(pathMappings, relativePath);
+    if (!match) {
+        return { relativePath, repositoryInfo, gitRefInfo, mapped: false };
+    }
+
+    const substitute = (value) => value.replace(/\$(\d+)/g, (placeholder, index) => match.captures[index - 1] || '');
+    const rest = relativePath.substring(match.matched.length).replace(/^\//, '');
+    const mappedPath = [...substitute(match.mapping.remotePath).split('/'), ...rest.split('/')]
+        .filter(segment => segment)
+        .join('/');
+
+    let mappedRepositoryInfo = repositoryInfo;
+    if (match.mapping.repositoryUrl) {
+        const repositoryUrl = substitute(match.mapping.repositoryUrl);
+        const normalized = normalizeRemoteUrl(repositoryUrl, hostOptions);
+        if (!normalized) {
+            throw new Error(`openInGithub.pathMappings: ${repositoryUrl} is not a supported repository URL`);
+        }
+        mappedRepositoryInfo = { url: normalized.url, remoteName: null, provider: normalized.provider };
+    }
+
+    let mappedGitRefInfo = gitRefInfo;
+    if (match.mapping.ref) {
+        mappedGitRefInfo = {
+            ref: match.mapping.ref,
+            type: /^[0-9a-f]{40}$/i.test(match.mapping.ref) ? 'commit' : 'branch',
+            localBranch: gitRefInfo.localBranch,
+            remoteName: null,
+            fellBackToMain: false,
+            source: 'pathMapping'
+        };
+    } else if (match.mapping.repositoryUrl && gitRefInfo.type === 'commit') {
+        // Commits of this repository do not exist in the other one, so link to a branch instead
+        mappedGitRefInfo = {
+            ref: gitRefInfo.localBranch || FALLBACK_BRANCH,
+            type: 'branch',
+            localBranch: gitRefInfo.localBranch,
+            remoteName: null,
+            fellBackToMain: false,
+            source: 'pathMappingBranch',
+            localCommit: gitRefInfo.ref
+        };
+    }
+
+    return {
+        relativePath: mappedPath,
+        repositoryInfo: mappedRepositoryInfo,
+        gitRefInfo: mappedGitRefInfo,
+        mapped: true
+    };
+}
+
+/**
+ * Construct the URL for a file using the repository's hosting provider
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @param {string} relativePath - The relative path from git root
+ * @param {Object|null} lines - Optional object with 1-based start and end lines
+ * @returns {string} - The file URL
+ */
+function constructGitHubUrl(repositoryInfo, gitRefInfo, relativePath, lines = null) {
+    return getHostingProvider(repositoryInfo.provider).fileUrl(repositoryInfo.url, {
+        ref: gitRefInfo.ref,
+        refType: gitRefInfo.type,
+        path: relativePath,
+        lines
+    });
+}
+
+/**
+ * Construct the URL for the blame view of a file
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @param {string} relativePath - The relative path from git root
+ * @param {Object|null} lines - Optional object with 1-based start and end lines
+ * @returns {string|null} - The blame URL, or null if the provider has no blame view
+ */
+function constructBlameUrl(repositoryInfo, gitRefInfo, relativePath, lines = null) {
+    const provider = getHostingProvider(repositoryInfo.provider);
+    if (!provider.blameUrl) {
+        return null;
+    }
+
+    return provider.blameUrl(repositoryInfo.url, {
+        ref: gitRefInfo.ref,
+        refType: gitRefInfo.type,
+        path: relativePath,
+        lines
+    });
+}
+
+/**
+ * Construct the URL for the commit history of a file
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @param {string} relativePath - The relative path from git root
+ * @returns {string} - The history URL
+ */
+function constructHistoryUrl(repositoryInfo, gitRefInfo, relativePath) {
+    return getHostingProvider(repositoryInfo.provider).historyUrl(repositoryInfo.url, {
+        ref: gitRefInfo.ref,
+        refType: gitRefInfo.type,
+        path: relativePath
+    });
+}
+
+/**
+ * Construct the URL for a directory, or the repository root when no path is given
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @param {string} relativePath - Optional relative directory path from git root
+ * @returns {string} - The tree URL
+ */
+function constructTreeUrl(repositoryInfo, gitRefInfo, relativePath = '') {
+    return getHostingProvider(repositoryInfo.provider).treeUrl(repositoryInfo.url, {
+        ref: gitRefInfo.ref,
+        refType: gitRefInfo.type,
+        path: relativePath
+    });
+}
+
+/**
+ * Construct the URL for a commit
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {string} commitHash - The full commit hash
+ * @returns {string} - The commit URL
+ */
+function constructCommitUrl(repositoryInfo, commitHash) {
+    return getHostingProvider(repositoryInfo.provider).commitUrl(repositoryInfo.url, commitHash);
+}
+
+/**
+ * Construct the URL for an issue (work item on Azure DevOps)
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {string|number} number - The issue number
+ * @returns {string} - The issue URL
+ */
+function constructIssueUrl(repositoryInfo, number) {
+    return getHostingProvider(repositoryInfo.provider).issueUrl(repositoryInfo.url, number);
+}
+
+/**
+ * Construct the URL for a pull request (merge request on GitLab)
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {string|number} number - The pull request number
+ * @returns {string} - The pull request URL
+ */
+function constructPullRequestUrl(repositoryInfo, number) {
+    return getHostingProvider(repositoryInfo.provider).pullRequestUrl(repositoryInfo.url, number);
+}
+
+/**
+ * Construct the URL for starting a pull request from a branch.
+ * @param {Object} repositoryInfo - The repository info of the base repository
+ * @param {Object} headRepositoryInfo - The repository info of the repository the branch is pushed to
+ * @param {string} branch - The branch name on the head repository
+ * @param {string} base - The base branch name
+ * @returns {string} - The compare or new pull request URL
+ */
+function constructCompareUrl(repositoryInfo, headRepositoryInfo, branch, base) {
+    const isFork = headRepositoryInfo.url !== repositoryInfo.url;
+    return getHostingProvider(repositoryInfo.provider).compareUrl(repositoryInfo.url, {
+        base,
+        branch,
+        headOwner: isFork ? new URL(headRepositoryInfo.url).pathname.split('/')[1] : null,
+        headUrl: headRepositoryInfo.url
+    });
+}
+
+/**
+ * Get the link templates from the workspace configuration, skipping invalid ones.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Object[]} - Templates with name and url
+ */
+function getLinkTemplates(config) {
+    const linkTemplates = config && typeof config.get === 'function' ? config.get('linkTemplates', []) : [];
+    if (!Array.isArray(linkTemplates)) {
+        return [];
+    }
+
+    return linkTemplates
+        .filter(template => template && typeof template.name === 'string' && template.name.trim() &&
+            typeof template.url === 'string' && template.url.trim())
+        .map(template => ({ name: template.name.trim(), url: template.url.trim() }));
+}
+
+/**
+ * Fill in a link template. Every value except {repoUrl} is URL encoded; paths and refs keep their slashes.
+ * @param {Object} template - The template with name and url, see getLinkTemplates
+ * @param {Object} values - Object with repositoryInfo, gitRefInfo, sha, relativePath and lines
+ * @returns {string} - The URL
+ */
+function expandLinkTemplate(template, values) {
+    const { repositoryInfo, gitRefInfo, sha, relativePath, lines } = values;
+    // The repository name is the last path segment; the rest is the owner, group or Azure DevOps project
+    const repositoryPath = new URL(repositoryInfo.url).pathname.split('/').filter(segment => segment);
+    const placeholders = {
+        repoUrl: () => repositoryInfo.url,
+        owner: () => encodeUrlPath(repositoryPath.slice(0, -1).filter(segment => segment !== '_git').join('/')),
+        repo: () => encodeURIComponent(repositoryPath[repositoryPath.length - 1] || ''),
+        ref: () => encodeUrlPath(gitRefInfo.ref),
+        sha: () => {
+            if (!sha) {
+                throw new Error(`Could not resolve the commit for {sha} in link template "${template.name}"`);
+            }
+            return sha;
+        },
+        path: () => encodeUrlPath(relativePath),
+        line: () => lines && lines.start ? String(lines.start) : '',
+        endLine: () => lines && lines.start ? String(lines.end || lines.start) : '',
+        remote: () => encodeURIComponent(repositoryInfo.remoteName || '')
+    };
+
+    return template.url.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!Object.prototype.hasOwnProperty.call(placeholders, name)) {
+            throw new Error(`Unknown placeholder ${placeholder} in link template "${template.name}"`);
+        }
+        return placeholders[name]();
+    });
+}
+
+/**
+ * Get the commit a link points at: the commit itself, or the remote-tracking branch it names.
+ * Local commits are never used, since they may not have been pushed.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} gitRefInfo - The resolved ref from getGitHubRef
+ * @returns {Promise<string|null>} - The full commit hash, or null when the branch has not been fetched
+ *   or the repository is not a remote
+ */
+async function getLinkCommit(gitRoot, gitRefInfo) {
+    if (gitRefInfo.type === 'commit') {
+        return gitRefInfo.ref;
+    }
+
+    if (!gitRefInfo.remoteName) {
+        return null;
+    }
+
+    return await resolveRevision(gitRoot, `refs/remotes/${gitRefInfo.remoteName}/${gitRefInfo.ref}`);
+}
+
+/**
+ * Convert an editor selection to a 1-based line range.
+ * A selection ending at the start of a line does not include that line.
+ * @param {vscode.Selection} selection - The editor selection
+ * @param {boolean} includeColumns - Whether to include 1-based start and end columns
+ * @returns {Object} - Object with start, end and, when requested, startColumn and endColumn
+ */
+function selectionToLineRange(selection, includeColumns = false) {
+    const { start, end } = selection;
+    const isEmpty = start.line === end.line && start.character === end.character;
+    const endsAtLineStart = end.line > start.line && end.character === 0;
+    const lines = {
+        start: start.line + 1,
+        end: endsAtLineStart ? end.line : end.line + 1
+    };
+
+    if (includeColumns && !isEmpty && !endsAtLineStart) {
+        lines.startColumn = start.character + 1;
+        lines.endColumn = end.character;
+    }
+
+    return lines;
+}
+
+/**
+ * Get the distinct line ranges for all editor selections, in document order.
+ * @param {vscode.Selection[]} selections - The editor selections
+ * @param {boolean} includeColumns - Whether to include columns, see selectionToLineRange
+ * @returns {Object[]} - The line ranges
+ */
+function getSelectedLineRanges(selections, includeColumns = false) {
+    const ranges = new Map();
+    for (const selection of selections) {
+        const lines = selectionToLineRange(selection, includeColumns);
+        const key = `${lines.start}:${lines.startColumn}-${lines.end}:${lines.endColumn}`;
+        ranges.set(key, lines);
+    }
+
+    return [...ranges.values()].sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Get a single line range that encloses every given range.
+ * @param {Object[]} ranges - The line ranges
+ * @returns {Object} - The enclosing line range, without columns
+ */
+function getEnclosingLineRange(ranges) {
+    return {
+        start: Math.min(...ranges.map(range => range.start)),
+        end: Math.max(...ranges.map(range => range.end))
+    };
+}
+
+/**
+ * Decide how to link multiple selections, asking the user when configured to.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {number} selectionCount - The number of distinct selected ranges
+ * @returns {Promise<string|null>} - 'separate', 'enclosing', or null when the user cancelled
+ */
+async function getMultipleSelectionMode(config, selectionCount) {
+    const mode = config.get('multipleSelections', 'ask');
+    if (mode === 'separate' || mode === 'enclosing') {
+        return mode;
+    }
+
+    const choice = await vscode.window.showQuickPick([
+        {
+            label: `Open ${selectionCount} links`,
+            description: 'One link per selection',
+            mode: 'separate'
+        },
+        {
+            label: 'Open enclosing range',
+            description: 'One link from the first to the last selected line',
+            mode: 'enclosing'
+        }
+    ], { placeHolder: 'Multiple selections found' });
+    return choice ? choice.mode : null;
+}
+
+/**
+ * Open a URL in the default browser.
+ * Inside VS Code this goes through openExternal, so with Remote-SSH, WSL or containers the
+ * browser opens on the local machine rather than where the extension and git run.
+ * @param {string} url - The URL to open
+ */
+async function openInBrowser(url) {
+    if (vscode && vscode.env && vscode.env.openExternal) {
+        await vscode.env.openExternal(vscode.Uri.parse(url));
+        return;
+    }
+
+    // open is an ES module, so it is loaded with import() outside VS Code
+    const { default: open } = await import('open');
+    await open(url);
+}
+
+/**
+ * Wrap text in a Markdown code fence that is longer than any backtick run in the text.
+ * @param {string} text - The code to fence
+ * @param {string} languageId - Optional language for syntax highlighting
+ * @returns {string} - The fenced code block
+ */
+function fenceCode(text, languageId = '') {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${languageId}\n${text.replace(/\n$/, '')}\n${fence}`;
+}
+
+/**
+ * Format a link for the clipboard.
+ * @param {Object} link - Object with url, label and, for snippets, text and languageId
+ * @param {string} action - 'copy', 'copyMarkdown' or 'copySnippet'
+ * @returns {string} - The text to copy
+ */
+function formatLinkForClipboard(link, action) {
+    if (action === 'copyMarkdown') {
+        const label = link.label.replace(/([[\]\\])/g, '\\$1');
+        return `[${label}](${link.url})`;
+    }
+
+    if (action === 'copySnippet') {
+        return `${fenceCode(link.text || '', link.languageId)}\n${link.url}`;
+    }
+
+    return link.url;
+}
+
+/**
+ * Open links in the browser or copy them to the clipboard.
+ * @param {Object[]} links - Links with url and label, see formatLinkForClipboard
+ * @param {string} action - 'open', 'copy', 'copyMarkdown' or 'copySnippet'
+ */
+async function deliverLinks(links, action = 'open') {
+    if (action === 'open') {
+        for (const link of links) {
+            await openInBrowser(link.url);
+        }
+        return;
+    }
+
+    const separator = action === 'copySnippet' ? '\n\n' : '\n';
+    await vscode.env.clipboard.writeText(links.map(link => formatLinkForClipboard(link, action)).join(separator));
+    vscode.window.showInformationMessage(
+        `Open in GitHub: copied ${links.length === 1 ? 'link' : `${links.length} links`} to the clipboard`
+    );
+}
+
+/**
+ * Get the text covered by a line range, using exact columns when the range has them.
+ * @param {vscode.TextDocument} document - The document
+ * @param {Object} lines - The 1-based line range, see selectionToLineRange
+ * @returns {string} - The text in the range
+ */
+function getTextForLineRange(document, lines) {
+    if (lines.startColumn && lines.endColumn) {
+        return document.getText(new vscode.Range(lines.start - 1, lines.startColumn - 1, lines.end - 1, lines.endColumn));
+    }
+
+    const lastLine = document.lineAt(lines.end - 1);
+    return document.getText(new vscode.Range(lines.start - 1, 0, lines.end - 1, lastLine.text.length));
+}
+
+/**
+ * Show an error message to the user
+ * @param {string} message - The error message
+ */
+function showError(message) {
+    vscode.window.showErrorMessage(`Open in GitHub: ${message}`);
+}
+
+/**
+ * Show which GitHub ref is being opened.
+ * Copy actions show their own confirmation, so this is only shown when opening.
+ * @param {Object} gitRefInfo - The resolved GitHub ref information
+ * @param {string} action - The link action, see deliverLinks
+ */
+function showOpeningRefMessage(gitRefInfo, action = 'open') {
+    if (action !== 'open') {
+        return;
+    }
+
+    const reason = describeRefReason(gitRefInfo);
+    const suffix = reason ? ` (${reason})` : '';
+    if (gitRefInfo.type === 'commit') {
+        vscode.window.showInformationMessage(`Open in GitHub: opening on commit ${gitRefInfo.ref.substring(0, 8)}${suffix}`);
+        return;
+    }
+
+    vscode.window.showInformationMessage(`Open in GitHub: opening on branch ${gitRefInfo.ref}${suffix}`);
+}
+
+/**
+ * Parse a URI from VS Code's git extension, as used by SCM diff editors and old revisions.
+ * The query is JSON with the file path and the ref; an empty ref or ~ is the index.
+ * @param {vscode.Uri} uri - The git: URI
+ * @returns {Object|null} - Object with filePath and revision (null for the index or working copy), or null for other schemes
+ */
+function parseGitUri(uri) {
+    if (!uri || uri.scheme !== 'git') {
+        return null;
+    }
+
+    let query = {};
+    try {
+        query = JSON.parse(uri.query);
+    } catch (error) {
+        // Fall back to the URI path
+    }
+
+    const ref = typeof query.ref === 'string' ? query.ref : '';
+    const isIndex = ref === '' || ref === '~' || /^:\d$/.test(ref);
+    return {
+        filePath: query.path || uri.fsPath,
+        revision: isIndex ? null : ref
+    };
+}
+
+/**
+ * Get the file on disk and the revision shown for a document.
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Object|null} - Object with filePath and revision (null for the working copy), or null for
+ *   documents that are not backed by a git working tree, such as untitled or virtual files
+ */
+function getDocumentLocation(document) {
+    if (document.uri.scheme === 'file') {
+        return { filePath: document.uri.fsPath, revision: null };
+    }
+
+    return parseGitUri(document.uri);
+}
+
+/**
+ * Resolve a revision to a full commit hash.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} revision - The revision, e.g. HEAD~1 or a short hash
+ * @returns {Promise<string|null>} - The commit hash, or null if the revision does not exist
+ */
+async function resolveRevision(gitRoot, revision) {
+    try {
+        const { stdout } = await runGit(gitRoot, ['rev-parse', '--verify', '--quiet', `${revision}^{commit}`]);
+        return stdout.trim() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get what links for files in a submodule point to: openInGithub.submoduleLinks, or with 'ask'
+ * the choice remembered for the submodule in this workspace.
+ * @param {string} gitRoot - The submodule's git root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {string} - 'submodule', 'superproject' or 'ask' when nothing is remembered
+ */
+function getSubmoduleLinkMode(gitRoot, config) {
+    const mode = config.get('submoduleLinks', 'ask');
+    return mode === 'ask' ? getRememberedRemote(gitRoot, SUBMODULE_LINKS_KEY) || 'ask' : mode;
+}
+
+/**
+ * Resolve the repository and ref to link to, showing an error when there is no supported remote.
+ * Without interaction nothing is asked: the submodule checkout and the preferred remote are used where a command would ask.
+ * @param {string} gitRoot - The git repository root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {boolean} useCommitHash - Whether to use commit hash instead of branch name
+ * @param {Object} options - Optional interactive (default true), refOptions (overriding getRefOptions),
+ *   remoteName (a remote to link to instead of the preferred one), revision (an old revision to link to, see getDocumentLocation)
+ *   and trace (a list the decisions are added to, see explainLinkResolution)
+ * @returns {Promise<Object|null>} - Object with repositoryInfo and gitRefInfo, or null when there is none or the user cancelled
+ */
+async function resolveRepositoryAndRef(gitRoot, config, useCommitHash, options = {}) {
+    const trace = options.trace || null;
+    const branchOptions = {
+        interactive: options.interactive !== false,
+        refOptions: { ...getRefOptions(config), ...options.refOptions, trace },
+        remoteName: options.remoteName || null,
+        trace
+    };
+    const resolved = await resolveRepositoryAndBranchRef(gitRoot, config, useCommitHash || Boolean(options.revision), branchOptions);
+    if (!resolved || !options.revision) {
+        return resolved;
+    }
+
+    // An old revision opened from source control links to that revision
+    const commitHash = await resolveRevision(gitRoot, options.revision);
+    if (!commitHash) {
+        throw new Error(`Could not resolve revision ${options.revision}`);
+    }
+    addTrace(trace, `The file is open at revision ${options.revision}, commit ${commitHash}`);
+    return {
+        ...resolved,
+        gitRefInfo: { ...resolved.gitRefInfo, ref: commitHash, type: 'commit', source: 'gitRevision', revision: options.revision }
+    };
+}
+
+/**
+ * Resolve the repository and the ref of the checkout to link to, see resolveRepositoryAndRef.
+ * @param {string} gitRoot - The git repository root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {boolean} useCommitHash - Whether to use commit hash instead of branch name
+ * @param {Object} options - Object with interactive (whether the user may be asked), refOptions (options for getGitHubRef,
+ *   see getRefOptions), remoteName (a remote to link to, or null) and trace (see addTrace)
+ * @returns {Promise<Object|null>} - Object with repositoryInfo and gitRefInfo, or null when there is none or the user cancelled
+ */
+async function resolveRepositoryAndBranchRef(gitRoot, config, useCommitHash, options) {
+    const { interactive, refOptions, remoteName, trace } = options;
+    const describeRefMode = () => addTrace(trace, useCommitHash
+        ? 'Linking to the current commit (openInGithub.useCommitHash, or a permalink was asked for)'
+        : `openInGithub.remoteBranchCheck is ${refOptions.mode}`);
+
+    // A remote asked for by name links the checkout, on whatever that remote has
+    if (remoteName) {
+        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, remoteName, getHostOptions(config));
+        if (!repositoryInfo) {
+            throw new Error(`Remote ${remoteName} does not exist or does not point to a supported host`);
+        }
+        addTrace(trace, `Using remote ${remoteName}, asked for by name`);
+        describeRefMode();
+        return { repositoryInfo, gitRefInfo: await getGitHubRef(gitRoot, useCommitHash, remoteName, refOptions) };
+    }
+
+    // In a submodule, optionally link to the exact commit the superproject pins it to
+    const submodule = await getSubmoduleInfo(gitRoot, getHostOptions(config));
+    if (submodule && submodule.repositoryInfo) {
+        const mode = getSubmoduleLinkMode(gitRoot, config);
+        let usePinnedCommit = mode === 'superproject';
+        const setting = config.get('submoduleLinks', 'ask');
+        addTrace(trace, `${submodule.path} is a submodule pinned to ${submodule.commit} by ${submodule.superprojectRoot}; ` +
+            `openInGithub.submoduleLinks is ${setting}` + (setting !== mode ? `, and ${mode} was chosen earlier in this workspace` : ''));
+        if (mode === 'ask' && !interactive) {
+            addTrace(trace, 'Commands ask whether to link the submodule checkout or the pinned commit; the checkout is assumed here');
+        } else if (mode === 'ask') {
+            const choice = await vscode.window.showQuickPick([
+                {
+                    label: '$(repo) Submodule checkout',
+                    description: `the current checkout of ${submodule.path}`,
+                    usePinnedCommit: false
+                },
+                {
+                    label: '$(file-submodule) Superproject',
+                    description: `commit ${submodule.commit.substring(0, 8)} pinned by the superproject`,
+                    usePinnedCommit: true
+                }
+            ], { placeHolder: 'This file is in a submodule. Which version should links point to? The choice is remembered for the workspace' });
+            if (!choice) {
+                return null;
+            }
+            usePinnedCommit = choice.usePinnedCommit;
+            await rememberRemote(gitRoot, usePinnedCommit ? 'superproject' : 'submodule', SUBMODULE_LINKS_KEY);
+        }
+
+        if (usePinnedCommit) {
+            addTrace(trace, `Linking to the commit the superproject pins, in ${submodule.repositoryInfo.url}`);
+            return {
+                repositoryInfo: submodule.repositoryInfo,
+                gitRefInfo: {
+                    ref: submodule.commit,
+                    type: 'commit',
+                    localBranch: null,
+                    remoteName: submodule.repositoryInfo.remoteName,
+                    fellBackToMain: false,
+                    source: 'submoduleCommit',
+                    submodulePath: submodule.path
+                }
+            };
+        }
+    }
+
+    // Get repository URL with strict priority order, then the remote that has the branch
+    const preferredRepositoryInfo = interactive
+        ? await getRepositoryInfoForCommand(gitRoot, config)
+        : await getGitHubRepositoryInfo(gitRoot, config, trace);
+    if (!preferredRepositoryInfo) {
+        return null;
+    }
+    if (!interactive && config.get('remoteSelection', 'priority') === 'ask' && !getConfiguredRepositoryUrl(config) && !getRememberedRemote(gitRoot)) {
+        addTrace(trace, 'openInGithub.remoteSelection is ask, so commands ask which remote to use; the remote above is assumed here');
+    }
+
+    describeRefMode();
+    const repositoryInfo = useCommitHash
+        ? preferredRepositoryInfo
+        : await pickRepositoryForBranch(gitRoot, config, preferredRepositoryInfo, refOptions, interactive);
+    if (!repositoryInfo) {
+        return null;
+    }
+
+    // Get git reference (branch or commit)
+    const gitRefInfo = await getGitHubRef(gitRoot, useCommitHash, repositoryInfo.remoteName, refOptions);
+    return { repositoryInfo, gitRefInfo };
+}
+
+/**
+ * Resolve what a link for a file or folder points to: the repository and ref (see resolveRepositoryAndRef)
+ * and the path in that repository after openInGithub.pathMappings. The commands and the command line both
+ * resolve links here, so they link to the same place.
+ * @param {string} filePath - The file or directory path
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {Object} options - Optional useCommitHash, the options of resolveRepositoryAndRef, and resolvedRepositories
+ *   (a Map of git roots and revisions to resolved repositories, to resolve each repository once for several files)
+ * @returns {Promise<Object|null>} - Object with gitRoot, localPath (the path from the git root), relativePath, repositoryInfo,
+ *   gitRefInfo and mapped (see applyPathMapping), or null when the user cancelled or was told there is no supported remote;
+ *   throws when there is nothing to link to
+ */
+async function resolveLinkTarget(filePath, config, options = {}) {
+    const gitRoot = await getGitRoot(filePath);
+    if (!gitRoot) {
+        throw new Error(`${path.basename(filePath)} is not in a git repository`);
+    }
+
+    const resolvedRepositories = options.resolvedRepositories || new Map();
+    const key = options.revision ? `${gitRoot}\0${options.revision}` : gitRoot;
+    if (!resolvedRepositories.has(key)) {
+        const resolved = await resolveRepositoryAndRef(gitRoot, config, Boolean(options.useCommitHash), options);
+        if (!resolved) {
+            // Commands have already told the user or the user cancelled
+            if (options.interactive === false) {
+                throw new Error('No git remote points to a supported host');
+            }
+            return null;
+        }
+        resolvedRepositories.set(key, resolved);
+    }
+
+    const resolved = resolvedRepositories.get(key);
+    const localPath = getRelativePath(filePath, gitRoot);
+    const pathMapping = applyPathMapping(
+        localPath,
+        resolved.repositoryInfo,
+        resolved.gitRefInfo,
+        getPathMappings(config),
+        getHostOptions(config)
+    );
+    if (pathMapping.mapped) {
+        addTrace(options.trace, `openInGithub.pathMappings maps the file to ${pathMapping.relativePath} in ${pathMapping.repositoryInfo.url}`);
+    }
+    return { gitRoot, localPath, ...pathMapping };
+}
+
+/**
+ * Pin a link target to the commit its branch is at on the remote, so the link keeps showing the same lines.
+ * The remote-tracking commit is used rather than HEAD, which may not have been pushed.
+ * @param {Object} target - The link target, see resolveLinkTarget
+ * @returns {Promise<Object>} - The target at that commit; unchanged when it already links a commit
+ *   or the branch has not been fetched
+ */
+async function pinLinkTarget(target) {
+    if (target.gitRefInfo.type === 'commit') {
+        return target;
+    }
+
+    const commitHash = await getLinkCommit(target.gitRoot, target.gitRefInfo);
+    if (!commitHash) {
+        return target;
+    }
+
+    return { ...target, gitRefInfo: { ...target.gitRefInfo, ref: commitHash, type: 'commit' } };
+}
+
+/**
+ * Translate local line ranges of a file to the matching lines on the ref a link points to, through local changes.
+ * The ref is only available locally for the repository's own remotes, so mapped paths keep their line numbers.
+ * @param {Object} target - The link target, see resolveLinkTarget
+ * @param {Array<Object|null>} lineRanges - The local line ranges; null ranges stay null
+ * @param {string} documentText - The file's current contents, including unsaved changes
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {string[]|null} trace - Optional list the translations are added to, see addTrace
+ * @returns {Promise<Object>} - Object with lineRanges (null for ranges that do not exist on the ref) and
+ *   missingReason (why some do not, or null)
+ */
+async function getRemoteLineRanges(target, lineRanges, documentText, config, trace = null) {
+    if (target.mapped || lineRanges.every(lines => !lines) || !config.get('mapLinesToRemote', true)) {
+        return { lineRanges, missingReason: null };
+    }
+
+    const lineMapping = await getRemoteLineMapping(target.gitRoot, target.localPath, target.gitRefInfo, documentText);
+    if (!lineMapping) {
+        addTrace(trace, `Line numbers are not translated: ${target.gitRefInfo.ref} is not available locally`);
+        return { lineRanges, missingReason: null };
+    }
+
+    const remoteLineRanges = lineRanges.map(lines => lines && lineMapping.exists ? mapLineRange(lineMapping.hunks, lines) : null);
+    lineRanges.forEach((lines, index) => {
+        const remoteLines = remoteLineRanges[index];
+        if (lines && remoteLines && remoteLines.start !== lines.start) {
+            addTrace(trace, `Local changes move line ${lines.start} to line ${remoteLines.start} on ${lineMapping.ref}`);
+        }
+    });
+    const missing = lineRanges.some((lines, index) => lines && !remoteLineRanges[index]);
+    const reason = lineMapping.exists ? 'The selected lines were added locally and do not exist' : 'This file does not exist';
+    return { lineRanges: remoteLineRanges, missingReason: missing ? `${reason} on ${target.gitRefInfo.ref}` : null };
+}
+
+/**
+ * Construct the link for a view of a resolved file or folder. Folders link to their tree, except for history.
+ * @param {string} view - 'file', 'blame' or 'history'
+ * @param {Object} target - The link target, see resolveLinkTarget
+ * @param {Object|null} lines - The remote line range
+ * @param {boolean} isDirectory - Whether the target is a folder
+ * @returns {string} - The URL; throws when the host has no blame view
+ */
+function constructViewUrl(view, target, lines = null, isDirectory = false) {
+    const { repositoryInfo, gitRefInfo, relativePath } = target;
+    if (view === 'history') {
+        return constructHistoryUrl(repositoryInfo, gitRefInfo, relativePath);
+    }
+    if (isDirectory) {
+        return constructTreeUrl(repositoryInfo, gitRefInfo, relativePath);
+    }
+    if (view === 'blame') {
+        const url = constructBlameUrl(repositoryInfo, gitRefInfo, relativePath, lines);
+        if (!url) {
+            throw new Error(`${getHostingProvider(repositoryInfo.provider).name} has no blame view to link to`);
+        }
+        return url;
+    }
+    return constructGitHubUrl(repositoryInfo, gitRefInfo, relativePath, lines);
+}
+
+/**
+ * Get the resources a command was invoked on. The explorer passes the clicked resource and
+ * all selected resources; the editor context menu passes the document, which may be a git:
+ * URI for an old revision; keybindings and the command palette pass nothing.
+ * @param {vscode.Uri|undefined} uri - The clicked resource
+ * @param {vscode.Uri[]|undefined} uris - The selected resources
+ * @returns {vscode.Uri[]} - The file resources, or an empty array to use the active editor
+ */
+function getCommandUris(uri, uris) {
+    const isFileUri = (value) => Boolean(value && (value.scheme === 'file' || value.scheme === 'git') && value.fsPath);
+    if (Array.isArray(uris) && uris.some(isFileUri)) {
+        return uris.filter(isFileUri);
+    }
+
+    return isFileUri(uri) ? [uri] : [];
+}
+
+/**
+ * Build the link for a file or folder picked in the explorer or the source control view.
+ * git: resources link to their revision; resources no longer on disk, such as deleted files, link as files.
+ * @param {vscode.Uri} uri - The resource
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {Object} options - Object with view and template (see openResourcesInGitHub), and the useCommitHash,
+ *   interactive and resolvedRepositories options of resolveLinkTarget
+ * @returns {Promise<Object|null>} - Object with url, label and gitRefInfo, or null when the user cancelled
+ */
+async function resolveResourceLink(uri, config, options) {
+    const gitUri = parseGitUri(uri);
+    const filePath = gitUri ? gitUri.filePath : uri.fsPath;
+    const target = await resolveLinkTarget(filePath, config, {
+        useCommitHash: options.useCommitHash,
+        interactive: options.interactive,
+        revision: gitUri ? gitUri.revision : null,
+        resolvedRepositories: options.resolvedRepositories
+    });
+    if (!target) {
+        return null;
+    }
+
+    const { repositoryInfo, gitRefInfo, relativePath } = target;
+    let url;
+    if (options.view === 'template') {
+        const sha = await getLinkCommit(target.gitRoot, gitRefInfo);
+        url = expandLinkTemplate(options.template, { repositoryInfo, gitRefInfo, sha, relativePath, lines: null });
+    } else {
+        const isDirectory = fs.existsSync(filePath) && fs.statSync(filePath).isDirectory();
+        url = constructViewUrl(options.view, target, null, isDirectory);
+    }
+
+    return { url, label: relativePath || repositoryInfo.url, gitRefInfo };
+}
+
+/**
+ * Open files and folders picked in the explorer in GitHub, or copy their links.
+ * Folders open as tree URLs.
+ * @param {vscode.Uri[]} uris - The resources
+ * @param {string} action - 'open', 'copy' or 'copyMarkdown', see deliverLinks
+ * @param {string} view - 'file', 'blame', 'history' or 'template'
+ * @param {Object|null} template - The link template for the 'template' view, see getLinkTemplates
+ */
+async function openResourcesInGitHub(uris, action = 'open', view = 'file', template = null) {
+    const config = vscode.workspace.getConfiguration('openInGithub');
+    const useCommitHash = config.get('useCommitHash', false);
+
+    // Resolve each repository once, so remote choices are only asked for once
+    const resolvedRepositories = new Map();
+    const links = [];
+    let gitRefInfo = null;
+    for (const uri of uris) {
+        const link = await resolveResourceLink(uri, config, { view, template, useCommitHash, resolvedRepositories });
+        if (!link) {
+            return;
+        }
+
+        gitRefInfo = link.gitRefInfo;
+        links.push({ url: link.url, label: link.label });
+    }
+
+    if (links.length === 0) {
+        return;
+    }
+
+    if (resolvedRepositories.size === 1) {
+        showOpeningRefMessage(gitRefInfo, action);
+    }
+    await deliverLinks(links, action);
+}
+
+/**
+ * Open the current file in GitHub, or copy its link
+ * @param {boolean} includeLineNumber - Whether to include the current line number
+ * @param {string} action - 'open', 'copy', 'copyMarkdown' or 'copySnippet', see deliverLinks
+ * @param {string} view - 'file', 'blame', 'history' or 'template'
+ * @param {vscode.Uri[]} uris - Resources the command was invoked on, see getCommandUris; the active editor when empty
+ * @param {Object|null} template - The link template for the 'template' view, see getLinkTemplates
+ */
+async function openFileInGitHub(includeLineNumber = false, action = 'open', view = 'file', uris = [], template = null) {
+    try {
+        const editor = vscode.window.activeTextEditor;
+        const isActiveDocument = uris.length === 1 && editor &&
+            editor.document.uri.toString() === uris[0].toString();
+        if (uris.length > 0 && !isActiveDocument) {
+            // Selections only exist in the editor, so these links never include lines
+            await openResourcesInGitHub(uris, action === 'copySnippet' ? 'copy' : action, view, template);
+            return;
+        }
+
+        if (!editor) {
+            showError('No active editor found');
+            return;
+        }
+
+        const location = getDocumentLocation(editor.document);
+        if (!location) {
+            showError('This document is not a file in a git repository');
+            return;
+        }
+
+        const filePath = location.filePath;
+        const config = vscode.workspace.getConfiguration('openInGithub');
+        const useCommitHash = config.get('useCommitHash', false);
+
+        // Get the repository, ref and path, rewritten for directories published to other repositories
+        let target = await resolveLinkTarget(filePath, config, { useCommitHash, revision: location.revision });
+        if (!target) {
+            return;
+        }
+
+        // Snippets are pasted into chats and reviews, so they get a permalink to a pushed commit
+        if (action === 'copySnippet') {
+            target = await pinLinkTarget(target);
+        }
+
+        const { repositoryInfo, gitRefInfo, relativePath } = target;
+        const provider = getHostingProvider(repositoryInfo.provider);
+        if (view === 'blame' && !provider.blameUrl) {
+            showError(`${provider.name} has no blame view to link to`);
+            return;
+        }
+
+        // Get selected line ranges if requested (GitHub uses 1-based line numbers)
+        let lineRanges = [null];
+        if (includeLineNumber) {
+            // Only file views highlight columns
+            const includeColumns = view === 'file' && provider.supportsColumns && config.get('includeColumns', false);
+            lineRanges = getSelectedLineRanges(editor.selections, includeColumns);
+
+            if (lineRanges.length > 1) {
+                const mode = await getMultipleSelectionMode(config, lineRanges.length);
+                if (!mode) {
+                    return;
+                }
+
+                if (mode === 'enclosing') {
+                    lineRanges = [getEnclosingLineRange(lineRanges)];
+                }
+            }
+        }
+
+        // Translate local line numbers to the matching lines on the remote ref
+        let remoteLineRanges = lineRanges;
+        if (includeLineNumber) {
+            const remote = await getRemoteLineRanges(target, lineRanges, editor.document.getText(), config);
+            remoteLineRanges = remote.lineRanges;
+            if (remote.missingReason) {
+                const choice = await vscode.window.showWarningMessage(
+                    `Open in GitHub: ${remote.missingReason}.`,
+                    'Link Without Line'
+                );
+                if (choice !== 'Link Without Line') {
+                    return;
+                }
+            }
+        }
+
+        // Construct and open or copy URLs
+        const sha = view === 'template' ? await getLinkCommit(target.gitRoot, gitRefInfo) : null;
+        const links = lineRanges.map((lines, index) => {
+            const remoteLines = remoteLineRanges[index];
+            return {
+                url: view === 'template'
+                    ? expandLinkTemplate(template, { repositoryInfo, gitRefInfo, sha, relativePath, lines: remoteLines })
+                    : constructViewUrl(view, target, remoteLines),
+                label: `${relativePath}${formatLineAnchor(remoteLines, 'L', '-L')}`,
+                text: lines && action === 'copySnippet' ? getTextForLineRange(editor.document, lines) : null,
+                languageId: editor.document.languageId
+            };
+        });
+        showOpeningRefMessage(gitRefInfo, action);
+        await deliverLinks(links, action);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Open the current file, or the resources the command was invoked on, with a link template.
+ * @param {string} action - 'open' or 'copy', see deliverLinks
+ * @param {string|null} templateName - The template to use; the user picks one when null
+ * @param {vscode.Uri[]} uris - Resources the command was invoked on, see getCommandUris
+ */
+async function openFileWithLinkTemplate(action = 'open', templateName = null, uris = []) {
+    const templates = getLinkTemplates(vscode.workspace.getConfiguration('openInGithub'));
+    if (templates.length === 0) {
+        showError('No link templates are configured in openInGithub.linkTemplates');
+        return;
+    }
+
+    let template;
+    if (templateName) {
+        template = templates.find(candidate => candidate.name === templateName);
+        if (!template) {
+            showError(`No link template is named "${templateName}"`);
+            return;
+        }
+    } else if (templates.length === 1) {
+        template = templates[0];
+    } else {
+        const picked = await vscode.window.showQuickPick(
+            templates.map(candidate => ({ label: candidate.name, detail: candidate.url, template: candidate })),
+            { placeHolder: action === 'open' ? 'Choose the link to open' : 'Choose the link to copy' }
+        );
+        if (!picked) {
+            return;
+        }
+        template = picked.template;
+    }
+
+    await openFileInGitHub(true, action, 'template', uris, template);
+}
+
+/**
+ * Get the folder to open the repository for when a command has no resource: the active
+ * editor's file, the only workspace folder, or a workspace folder the user picks.
+ * @returns {Promise<string|null>} - The path, or null when there is none or the user cancelled
+ */
+async function getActiveResourcePath() {
+    const editor = vscode.window.activeTextEditor;
+    const location = editor ? getDocumentLocation(editor.document) : null;
+    if (location) {
+        return location.filePath;
+    }
+
+    const workspaceFolders = vscode.workspace.workspaceFolders || [];
+    if (workspaceFolders.length === 0) {
+        showError('No active editor or workspace folder found');
+        return null;
+    }
+
+    if (workspaceFolders.length === 1) {
+        return workspaceFolders[0].uri.fsPath;
+    }
+
+    const workspaceFolder = await vscode.window.showWorkspaceFolderPick({
+        placeHolder: 'Choose the workspace folder whose repository to open'
+    });
+    return workspaceFolder ? workspaceFolder.uri.fsPath : null;
+}
+
+/**
+ * Open the repository root in GitHub, or copy its link
+ * @param {string} action - 'open' or 'copy', see deliverLinks
+ * @param {vscode.Uri[]} uris - Resources the command was invoked on, see getCommandUris
+ */
+async function openRepositoryInGitHub(action = 'open', uris = []) {
+    try {
+        const filePath = uris.length > 0 ? uris[0].fsPath : await getActiveResourcePath();
+        if (!filePath) {
+            return;
+        }
+
+        const config = vscode.workspace.getConfiguration('openInGithub');
+        const useCommitHash = config.get('useCommitHash', false);
+
+        // Get git repository root
+        const gitRoot = await getGitRoot(filePath);
+        if (!gitRoot) {
+            showError('File is not in a git repository');
+            return;
+        }
+
+        const resolved = await resolveRepositoryAndRef(gitRoot, config, useCommitHash);
+        if (!resolved) {
+            return;
+        }
+
+        // Open repository root
+        const { repositoryInfo, gitRefInfo } = resolved;
+        const url = constructTreeUrl(repositoryInfo, gitRefInfo);
+        showOpeningRefMessage(gitRefInfo, action);
+        await deliverLinks([{ url, label: repositoryInfo.url }], action);
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Open the commit that last changed the current line in GitHub, or copy its link
+ * @param {string} action - 'open' or 'copy', see deliverLinks
+ */
+async function openCommitForLine(action = 'open') {
+    try {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            showError('No active editor found');
+            return;
+        }
+
+        const location = getDocumentLocation(editor.document);
+        if (!location) {
+            showError('This document is not a file in a git repository');
+            return;
+        }
+
+        const filePath = location.filePath;
+        const config = vscode.workspace.getConfiguration('openInGithub');
+
+        // Get git repository root
+        const gitRoot = await getGitRoot(filePath);
+        if (!gitRoot) {
+            showError('File is not in a git repository');
+            return;
+        }
+
+        // Get repository URL with strict priority order
+        const repositoryInfo = await getRepositoryInfoForCommand(gitRoot, config);
+        if (!repositoryInfo) {
+            return;
+        }
+
+        // Get commit from git blame (1-based line number)
+        const lineNumber = editor.selection.active.line + 1;
+        const { entry: commitHash, cancelled } = await blameWithProgress(token => getCommitHashFromBlame(
+            gitRoot,
+            filePath,
+            lineNumber,
+            getBlameOptions(config),
+            location.revision,
+            token
+        ));
+        if (cancelled) {
+            return;
+        }
+        if (!commitHash) {
+            showError('Could not determine commit for this line');
+            return;
+        }
+
+        if (isUncommittedHash(commitHash)) {
+            showError('This line has uncommitted changes, so it is not part of any commit yet');
+            return;
+        }
+
+        const url = constructCommitUrl(repositoryInfo, commitHash);
+        await deliverLinks([{ url, label: commitHash.substring(0, 8) }], action);
+
+        if (action === 'open') {
+            vscode.window.showInformationMessage(`Open in GitHub: opening commit ${commitHash.substring(0, 8)}`);
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Check whether a blamed commit hash stands for uncommitted changes.
+ * @param {string|null} commitHash - The commit hash from git blame
+ * @returns {boolean} - True for the all-zero hash git blame uses for uncommitted lines
+ */
+function isUncommittedHash(commitHash) {
+    return commitHash === UNCOMMITTED_HASH;
+}
+
+/**
+ * Parse git blame --porcelain output.
+ * @param {string} stdout - The porcelain output
+ * @returns {Object[]} - One entry per blamed line with commitHash, originalLine, finalLine, filename,
+ *   previous ({ commitHash, filename } or null), summary, author and authorTime (seconds since the epoch)
+ */
+function parseBlamePorcelain(stdout) {
+    const commits = new Map();
+    const entries = [];
+    let current = null;
+
+    for (const line of stdout.split('\n')) {
+        const header = line.match(/^([0-9a-f]{40}) (\d+) (\d+)(?: \d+)?$/);
+        if (header) {
+            if (!commits.has(header[1])) {
+                commits.set(header[1], { previous: null });
+            }
+            current = {
+                commitHash: header[1],
+                originalLine: Number(header[2]),
+                finalLine: Number(header[3]),
+                commit: commits.get(header[1])
+            };
+            continue;
+        }
+
+        if (!current) {
+            continue;
+        }
+
+        if (line.startsWith('\t')) {
+            entries.push(current);
+            current = null;
+            continue;
+        }
+
+        const separatorIndex = line.indexOf(' ');
+        const key = separatorIndex === -1 ? line : line.substring(0, separatorIndex);
+        const value = separatorIndex === -1 ? '' : line.substring(separatorIndex + 1);
+        if (key === 'previous') {
+            const [commitHash, ...filename] = value.split(' ');
+            current.commit.previous = { commitHash, filename: filename.join(' ') };
+        } else if (key === 'author-time') {
+            current.commit.authorTime = Number(value);
+        } else if (key === 'filename' || key === 'summary' || key === 'author') {
+            current.commit[key] = value;
+        }
+    }
+
+    return entries.map(({ commit, ...entry }) => ({
+        ...entry,
+        filename: commit.filename || null,
+        previous: commit.previous,
+        summary: commit.summary || '',
+        author: commit.author || '',
+        authorTime: commit.authorTime || null
+    }));
+}
+
+/**
+ * Get git config blame options from the workspace configuration.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Object} - Object with ignoreRevs, ignoreWhitespace, detectMoves and detectCopies
+ */
+function getBlameOptions(config) {
+    return {
+        ignoreRevs: config.get('blame.ignoreRevs', true),
+        ignoreWhitespace: config.get('blame.ignoreWhitespace', false),
+        detectMoves: config.get('blame.detectMoves', false),
+        detectCopies: config.get('blame.detectCopies', false)
+    };
+}
+
+/**
+ * Build the git blame arguments for blame options.
+ * A blame.ignoreRevsFile from git config is honored by git itself; without one, a
+ * .git-blame-ignore-revs file at the repository root is used.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @returns {Promise<string[]>} - The arguments
+ */
+async function getBlameArgs(gitRoot, options = {}) {
+    const args = [];
+    if (options.ignoreWhitespace) {
+        args.push('-w');
+    }
+    if (options.detectMoves) {
+        args.push('-M');
+    }
+    if (options.detectCopies) {
+        args.push('-C');
+    }
+
+    if (options.ignoreRevs === false) {
+        // An empty file name clears the revisions read from blame.ignoreRevsFile
+        args.push('--ignore-revs-file', '');
+        return args;
+    }
+
+    try {
+        await runGit(gitRoot, ['config', '--get', 'blame.ignoreRevsFile']);
+        return args;
+    } catch (error) {
+        // Not configured, so fall back to the conventional file name
+    }
+
+    if (fs.existsSync(path.join(gitRoot, BLAME_IGNORE_REVS_FILE))) {
+        args.push('--ignore-revs-file', BLAME_IGNORE_REVS_FILE);
+    }
+
+    return args;
+}
+
+/**
+ * Blame a single line, optionally as of an earlier revision.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} relativePath - The path from git root, as of the revision
+ * @param {number} lineNumber - The line number (1-based), as of the revision
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @param {string|null} revision - Optional revision to blame; the working copy when null
+ * @param {vscode.CancellationToken|null} token - Optional cancellation token
+ * @returns {Promise<Object|null>} - The blame entry, see parseBlamePorcelain, or null if blame failed or was cancelled
+ */
+async function blameLine(gitRoot, relativePath, lineNumber, options = {}, revision = null, token = null) {
+    try {
+        const blameArgs = await getBlameArgs(gitRoot, options);
+        const { stdout } = await runGit(gitRoot, [
+            'blame',
+            '--porcelain',
+            '-L', `${lineNumber},${lineNumber}`,
+            ...blameArgs,
+            ...(revision ? [revision] : []),
+            '--',
+            relativePath
+        ], { maxBuffer: 16 * 1024 * 1024, token });
+        return parseBlamePorcelain(stdout)[0] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Blame every line of a file at once.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} relativePath - The path from git root
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @param {string|null} contents - Optional unsaved file contents to blame, so line numbers match the editor
+ * @param {string|null} revision - Optional revision to blame instead of the working copy
+ * @param {vscode.CancellationToken|null} token - Optional cancellation token
+ * @returns {Promise<Map<number, Object>>} - Blame entries by 1-based line number, empty if blame failed or was cancelled
+ */
+async function blameFile(gitRoot, relativePath, options = {}, contents = null, revision = null, token = null) {
+    try {
+        const blameArgs = await getBlameArgs(gitRoot, options);
+        const useContents = contents !== null && !revision;
+        const { stdout } = await runGit(gitRoot, [
+            'blame',
+            '--porcelain',
+            ...blameArgs,
+            ...(revision ? [revision] : []),
+            ...(useContents ? ['--contents', '-'] : []),
+            '--',
+            relativePath
+        ], { maxBuffer: 64 * 1024 * 1024, input: useContents ? contents : '', token });
+        return new Map(parseBlamePorcelain(stdout).map(entry => [entry.finalLine, entry]));
+    } catch (error) {
+        return new Map();
+    }
+}
+
+/**
+ * Blame the same line again as of the commit before the given blame entry.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} blameEntry - The blame entry to step back from
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @param {vscode.CancellationToken|null} token - Optional cancellation token
+ * @returns {Promise<Object|null>} - The previous blame entry, or null when the commit added the line
+ */
+async function blamePreviousChange(gitRoot, blameEntry, options = {}, token = null) {
+    if (!blameEntry.previous) {
+        return null;
+    }
+
+    return blameLine(
+        gitRoot,
+        blameEntry.previous.filename,
+        blameEntry.originalLine,
+        options,
+        blameEntry.previous.commitHash,
+        token
+    );
+}
+
+/**
+ * Blame a line for a command, with a cancellable progress notification.
+ * @param {Function} blame - Called with a cancellation token (or null) and returning the blame result
+ * @returns {Promise<Object>} - Object with entry (the blame result, or null when blame failed) and cancelled
+ */
+async function blameWithProgress(blame) {
+    let cancelled = false;
+    const entry = await runWithCancellableProgress('Open in GitHub: running git blame...', async (token) => {
+        const result = await blame(token);
+        cancelled = Boolean(token && token.isCancellationRequested);
+        return result;
+    });
+
+    return { entry, cancelled };
+}
+
+/**
+ * Get the commit hash for a specific line using git blame
+ * @param {string} gitRoot - The git repository root
+ * @param {string} filePath - The absolute file path
+ * @param {number} lineNumber - The line number (1-based)
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @param {string|null} revision - Optional revision the line number refers to; the working copy when null
+ * @param {vscode.CancellationToken|null} token - Optional cancellation token
+ * @returns {Promise<string|null>} - The commit hash (all zeros for uncommitted lines) or null if not found
+ */
+async function getCommitHashFromBlame(gitRoot, filePath, lineNumber, options = {}, revision = null, token = null) {
+    const blameEntry = await blameLine(gitRoot, getRelativePath(filePath, gitRoot), lineNumber, options, revision, token);
+    return blameEntry ? blameEntry.commitHash : null;
+}
+
+// Labels for PR candidate kinds, see parsePullRequestCandidates; PRs use the provider's name for them
+const CANDIDATE_KIND_LABELS = {
+    reference: 'PR or issue',
+    issue: 'Issue'
+};
+
+/**
+ * Find PR and issue references in a commit message, best candidates first:
+ * 1. Squash-merge subjects ending in (#123)
+ * 2. Merge commits: "Merge pull request #123" and GitLab's "See merge request group/project!123"
+ * 3. Cross-repository references such as org/repo#123
+ * 4. Issue keywords such as "fixes #123", reported as issues
+ * 5. Any other #123
+ * @param {string} commitMessage - The full commit message
+ * @param {string|null} currentRepository - Optional path of the current repository, see getRepositoryPath
+ * @returns {Object[]} - Candidates with kind, number, repository (null for the current one) and source
+ */
+function parsePullRequestCandidates(commitMessage, currentRepository = null) {
+    const candidates = new Map();
+    // A number is classified by its most specific mention, e.g. "fixes org/repo#3" is an issue
+    const specificity = { pullRequest: 2, issue: 1, reference: 0 };
+    let order = 0;
+    const addCandidate = (kind, source, rank, number, repository = null) => {
+        const isCurrentRepository = repository && currentRepository &&
+            repository.toLowerCase() === currentRepository.toLowerCase();
+        const candidateRepository = isCurrentRepository ? null : repository;
+        const key = `${candidateRepository || ''}#${number}`;
+        const existing = candidates.get(key);
+        const isMoreSpecific = existing && specificity[kind] > specificity[existing.kind];
+        const isBetterRanked = existing && specificity[kind] === specificity[existing.kind] && rank < existing.rank;
+        if (!existing || isMoreSpecific || isBetterRanked) {
+            candidates.set(key, { kind, number, repository: candidateRepository, source, rank, order: order++ });
+        }
+    };
+    const repositoryPattern = '[\\w.-]+\\/[\\w.-]+';
+
+    const subject = commitMessage.split('\n')[0];
+    const squashMatch = subject.match(/\(#(\d+)\)\s*$/);
+    if (squashMatch) {
+        addCandidate('pullRequest', 'squashMerge', 0, squashMatch[1]);
+    }
+
+    for (const match of commitMessage.matchAll(/Merge pull request #(\d+)/gi)) {
+        addCandidate('pullRequest', 'mergeCommit', 1, match[1]);
+    }
+
+    for (const match of commitMessage.matchAll(new RegExp(`See merge request (${repositoryPattern}(?:\\/[\\w.-]+)*)?!(\\d+)`, 'g'))) {
+        addCandidate('pullRequest', 'mergeCommit', 1, match[2], match[1] || null);
+    }
+
+    const issueKeywordPattern = new RegExp(
+        `\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\s*:?\\s+(${repositoryPattern})?#(\\d+)`,
+        'gi'
+    );
+    for (const match of commitMessage.matchAll(issueKeywordPattern)) {
+        addCandidate('issue', 'issueKeyword', 3, match[2], match[1] || null);
+    }
+
+    for (const match of commitMessage.matchAll(new RegExp(`(?:^|[\\s(\\[])(${repositoryPattern})#(\\d+)\\b`, 'g'))) {
+        const isCurrentRepository = currentRepository && match[1].toLowerCase() === currentRepository.toLowerCase();
+        if (isCurrentRepository) {
+            addCandidate('reference', 'reference', 4, match[2]);
+        } else {
+            addCandidate('reference', 'crossRepository', 2, match[2], match[1]);
+        }
+    }
+
+    for (const match of commitMessage.matchAll(/(?:^|[^\w/])#(\d+)\b/g)) {
+        addCandidate('reference', 'reference', 4, match[1]);
+    }
+
+    return [...candidates.values()]
+        .sort((a, b) => a.rank - b.rank || a.order - b.order)
+        .map(({ kind, number, repository, source }) => ({ kind, number, repository, source }));
+}
+
+/**
+ * Get PR and issue candidates from a commit message
+ * @param {string} gitRoot - The git repository root
+ * @param {string} commitHash - The commit hash
+ * @param {string|null} currentRepository - Optional path of the current repository, see getRepositoryPath
+ * @returns {Promise<Object[]>} - Candidates, see parsePullRequestCandidates
+ */
+async function getPullRequestCandidatesFromCommit(gitRoot, commitHash, currentRepository = null) {
+    return parsePullRequestCandidates(await getCommitMessage(gitRoot, commitHash), currentRepository);
+}
+
+/**
+ * Get the full message of a commit.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} commitHash - The commit hash
+ * @returns {Promise<string>} - The message, or an empty string when the commit is not available
+ */
+async function getCommitMessage(gitRoot, commitHash) {
+    try {
+        const { stdout } = await runGit(gitRoot, ['log', '-1', '--format=%B', commitHash]);
+        return stdout;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Extract PR number from commit message
+ * @param {string} gitRoot - The git repository root
+ * @param {string} commitHash - The commit hash
+ * @param {string|null} currentRepository - Optional path of the current repository, see getRepositoryPath
+ * @returns {Promise<string|null>} - The best PR number (never an issue) or null if not found
+ */
+async function getPRNumberFromCommit(gitRoot, commitHash, currentRepository = null) {
+    return findPRNumberInMessage(await getCommitMessage(gitRoot, commitHash), currentRepository);
+}
+
+/**
+ * Find the PR number a commit message refers to.
+ * @param {string} message - The commit message
+ * @param {string|null} currentRepository - Optional path of the current repository, see getRepositoryPath
+ * @returns {string|null} - The best PR number (never an issue) or null if not found
+ */
+function findPRNumberInMessage(message, currentRepository = null) {
+    const candidates = parsePullRequestCandidates(message, currentRepository);
+    const candidate = candidates.find(item => item.kind !== 'issue' && !item.repository);
+    return candidate ? candidate.number : null;
+}
+
+/**
+ * Get the path of a repository on its host, e.g. org/repo or group/subgroup/project for nested GitLab groups.
+ * @param {string} repositoryUrl - The normalized repository URL
+ * @returns {string|null} - The path without leading or trailing slashes, or null for an invalid URL
+ */
+function getRepositoryPath(repositoryUrl) {
+    try {
+        return new URL(repositoryUrl).pathname.replace(/^\/+|\/+$/g, '') || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the URL for a PR candidate, in the referenced repository for cross-repository references.
+ * References that may be either a PR or an issue use the issue URL, which GitHub redirects to the PR.
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {Object} candidate - The candidate, see parsePullRequestCandidates
+ * @returns {string} - The URL
+ */
+function getCandidateUrl(repositoryInfo, candidate) {
+    const targetInfo = candidate.repository
+        ? { ...repositoryInfo, url: `${new URL(repositoryInfo.url).origin}/${candidate.repository}` }
+        : repositoryInfo;
+    return candidate.kind === 'pullRequest'
+        ? constructPullRequestUrl(targetInfo, candidate.number)
+        : constructIssueUrl(targetInfo, candidate.number);
+}
+
+/**
+ * Describe a PR candidate, e.g. "PR #123" or "Issue elastic/kibana#5".
+ * @param {Object} candidate - The candidate, see parsePullRequestCandidates
+ * @param {string} providerId - The hosting provider id
+ * @returns {string} - The label
+ */
+function describeCandidate(candidate, providerId = 'github') {
+    const kindLabel = candidate.kind === 'pullRequest'
+        ? getHostingProvider(providerId).pullRequestName
+        : CANDIDATE_KIND_LABELS[candidate.kind];
+    return `${kindLabel} ${candidate.repository || ''}#${candidate.number}`;
+}
+
+/**
+ * Extract organization and repository name from repository URL
+ * @param {string} repositoryUrl - The repository URL
+ * @returns {Object|null} - Object with org and repo properties, or null if invalid
+ */
+function extractOrgAndRepo(repositoryUrl) {
+    // Handle different URL formats
+    // https://github.com/org/repo
+    // https://github.example.com/org/repo.git
+    // git@github.com:org/repo.git
+    const remote = parseRemoteUrl(repositoryUrl);
+    if (!remote) {
+        return null;
+    }
+
+    const segments = remote.path.split('/');
+    if (segments.length !== 2 || !segments[0] || !segments[1]) {
+        return null;
+    }
+
+    return {
+        org: segments[0],
+        repo: segments[1]
+    };
+}
+
+/**
+ * Get openInGithub.githubApiUrl without a trailing slash.
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {string|null} - The configured API base URL, or null when not configured
+ */
+function getConfiguredGitHubApiUrl(config) {
+    const configuredUrl = config && typeof config.get === 'function' ? config.get('githubApiUrl', '') : '';
+    return typeof configuredUrl === 'string' && configuredUrl.trim() ? configuredUrl.trim().replace(/\/+$/, '') : null;
+}
+
+/**
+ * Get the REST API base URL for a GitHub repository.
+ * github.com uses api.github.com and GitHub Enterprise Server uses <host>/api/v3,
+ * unless openInGithub.githubApiUrl overrides it (for example with a local mock server).
+ * @param {string} repositoryUrl - The normalized repository URL
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {string} - The API base URL without a trailing slash
+ */
+function getGitHubApiBaseUrl(repositoryUrl, config) {
+    const configuredUrl = getConfiguredGitHubApiUrl(config);
+    if (configuredUrl) {
+        return configuredUrl;
+    }
+
+    const origin = new URL(repositoryUrl).origin;
+    return origin === `https://${DEFAULT_GITHUB_HOST}` ? DEFAULT_GITHUB_API_URL : `${origin}/api/v3`;
+}
+
+/**
+ * Get a token for a GitHub REST API from settings, the environment or a VS Code GitHub sign-in.
+ * Tokens only go to the host they were issued for, since repositories choose the host through their remotes:
+ * a single openInGithub.githubToken, GITHUB_TOKEN, GH_TOKEN and the github.com sign-in are only sent to
+ * api.github.com or the configured openInGithub.githubApiUrl, per-host tokens to their host and the
+ * GitHub Enterprise sign-in to the github-enterprise.uri host.
+ * The sign-in is only used when a session already exists; this never prompts.
+ * @param {string} apiBaseUrl - The API base URL, see getGitHubApiBaseUrl
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Promise<string|null>} - The token or null when unauthenticated
+ */
+async function getGitHubToken(apiBaseUrl, config) {
+    const apiHost = new URL(apiBaseUrl).host.toLowerCase();
+    const isDefaultApi = apiBaseUrl === DEFAULT_GITHUB_API_URL || apiBaseUrl === getConfiguredGitHubApiUrl(config);
+    const configuredToken = config && typeof config.get === 'function' ? config.get('githubToken', '') : '';
+
+    if (configuredToken && typeof configuredToken === 'object') {
+        // Per-host tokens, keyed by the web host (github.com) or the API host (api.github.com)
+        const webHost = apiHost === new URL(DEFAULT_GITHUB_API_URL).host ? DEFAULT_GITHUB_HOST : apiHost;
+        const hostToken = Object.entries(configuredToken)
+            .find(([host, token]) => [apiHost, webHost].includes(host.toLowerCase()) && typeof token === 'string' && token.trim());
+        if (hostToken) {
+            return hostToken[1].trim();
+        }
+    } else if (typeof configuredToken === 'string' && configuredToken.trim() && isDefaultApi) {
+        return configuredToken.trim();
+    }
+
+    const environmentToken = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+    if (environmentToken && isDefaultApi) {
+        return environmentToken;
+    }
+
+    if (!vscode || !vscode.authentication) {
+        return null;
+    }
+
+    try {
+        let providerId = null;
+        if (apiBaseUrl === DEFAULT_GITHUB_API_URL) {
+            providerId = 'github';
+        } else {
+            const enterpriseUri = vscode.workspace.getConfiguration('github-enterprise').get('uri');
+            if (typeof enterpriseUri === 'string' && enterpriseUri && new URL(enterpriseUri).host.toLowerCase() === apiHost) {
+                providerId = 'github-enterprise';
+            }
+        }
+        if (!providerId) {
+            return null;
+        }
+
+        const session = await vscode.authentication.getSession(providerId, ['repo'], { silent: true });
+        return session ? session.accessToken : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Request JSON from an HTTP(S) endpoint, keeping the response headers.
+ * @param {string} url - The URL to request
+ * @param {Object} options - Optional token and timeoutMs
+ * @returns {Promise<Object>} - Object with body (the parsed response body) and headers
+ */
+function requestJsonResponse(url, options = {}) {
+    const client = url.startsWith('http:') ? http : https;
+    const headers = {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'open-in-github'
+    };
+    if (options.token) {
+        headers.Authorization = `Bearer ${options.token}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = client.get(url, { headers, timeout: options.timeoutMs || 10000 }, (response) => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                body += chunk;
+            });
+            response.on('end', () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    reject(new Error(`GitHub API request failed with status ${response.statusCode}`));
+                    return;
+                }
+
+                try {
+                    resolve({ body: JSON.parse(body), headers: response.headers });
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error('GitHub API request timed out')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Request JSON from an HTTP(S) endpoint.
+ * @param {string} url - The URL to request
+ * @param {Object} options - Optional token and timeoutMs
+ * @returns {Promise<*>} - The parsed response body
+ */
+async function requestJson(url, options = {}) {
+    return (await requestJsonResponse(url, options)).body;
+}
+
+/**
+ * Get the rel="next" URL from a Link header.
+ * @param {string|undefined} linkHeader - The Link header
+ * @returns {string|null} - The next page URL, or null on the last page
+ */
+function parseNextPageLink(linkHeader) {
+    const match = (linkHeader || '').match(/<([^>]+)>\s*;\s*rel="next"/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Request every page of a JSON list, following Link rel="next" headers on the same origin.
+ * @param {string} url - The URL of the first page
+ * @param {Object} options - Optional token and timeoutMs
+ * @param {number} maxItems - Stop after this many items
+ * @returns {Promise<Array>} - The items of all pages
+ */
+async function requestJsonPages(url, options = {}, maxItems = Infinity) {
+    const origin = new URL(url).origin;
+    const items = [];
+    let pageUrl = url;
+    while (pageUrl && items.length < maxItems) {
+        const { body, headers } = await requestJsonResponse(pageUrl, options);
+        if (!Array.isArray(body)) {
+            throw new Error('GitHub API returned something other than a list');
+        }
+        items.push(...body);
+
+        // The token must not follow a link to another host
+        const nextUrl = parseNextPageLink(headers.link);
+        pageUrl = nextUrl && new URL(nextUrl, pageUrl).origin === origin ? new URL(nextUrl, pageUrl).href : null;
+    }
+
+    return items.slice(0, maxItems);
+}
+
+/**
+ * Get the on-disk cache file for a commit's pull requests.
+ * @param {string} cacheDir - The cache directory
+ * @param {string} apiBaseUrl - The API base URL
+ * @param {Object} orgRepo - Object with org and repo
+ * @param {string} commitHash - The full commit hash
+ * @returns {string} - The cache file path
+ */
+function getPullRequestCacheFile(cacheDir, apiBaseUrl, orgRepo, commitHash) {
+    const repositoryKey = encodeURIComponent(`${apiBaseUrl}/${orgRepo.org}/${orgRepo.repo}`);
+    return path.join(cacheDir, 'pull-requests', repositoryKey, `${commitHash}.json`);
+}
+
+/**
+ * Look up the pull requests that contain a commit through the GitHub REST API,
+ * GET /repos/{owner}/{repo}/commits/{sha}/pulls, caching the answer per commit on disk.
+ * @param {string} repositoryUrl - The normalized GitHub repository URL
+ * @param {string} commitHash - The full commit hash
+ * @param {Object} options - apiBaseUrl, token, and optional cacheDir and timeoutMs
+ * @returns {Promise<Object[]|null>} - Pull requests with number, title and state, or null when the lookup failed
+ */
+async function getPullRequestsForCommitFromApi(repositoryUrl, commitHash, options) {
+    const orgRepo = extractOrgAndRepo(repositoryUrl);
+    if (!orgRepo) {
+        return null;
+    }
+
+    const cacheFile = options.cacheDir
+        ? getPullRequestCacheFile(options.cacheDir, options.apiBaseUrl, orgRepo, commitHash)
+        : null;
+    if (cacheFile) {
+        try {
+            const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+            const isExpired = cached.pullRequests.length === 0 &&
+                Date.now() - cached.fetchedAt > EMPTY_PULL_REQUEST_CACHE_TTL_MS;
+            if (!isExpired) {
+                return cached.pullRequests;
+            }
+        } catch (error) {
+            // Not cached yet
+        }
+    }
+
+    let response;
+    try {
+        response = await requestJson(
+            `${options.apiBaseUrl}/repos/${orgRepo.org}/${orgRepo.repo}/commits/${commitHash}/pulls`,
+            { token: options.token, timeoutMs: options.timeoutMs }
+        );
+    } catch (error) {
+        return null;
+    }
+
+    if (!Array.isArray(response)) {
+        return null;
+    }
+
+    // Merged pull requests come first, since that is where the commit landed
+    const pullRequests = response
+        .map(pullRequest => ({
+            number: pullRequest.number,
+            title: pullRequest.title,
+            state: pullRequest.state,
+            merged: Boolean(pullRequest.merged_at)
+        }))
+        .sort((a, b) => Number(b.merged) - Number(a.merged));
+
+    if (cacheFile) {
+        try {
+            fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+            fs.writeFileSync(cacheFile, JSON.stringify({ fetchedAt: Date.now(), pullRequests }));
+        } catch (error) {
+            // Caching is best effort
+        }
+    }
+
+    return pullRequests;
+}
+
+/**
+ * Look up the pull requests for a branch through the GitHub REST API,
+ * GET /repos/{owner}/{repo}/pulls?head={owner}:{branch}. Not cached, since a branch
+ * can get a pull request at any time.
+ * @param {string} repositoryUrl - The normalized GitHub repository URL of the base repository
+ * @param {string} headOwner - The owner of the repository the branch is pushed to
+ * @param {string} branch - The branch name
+ * @param {Object} options - apiBaseUrl, token and optional timeoutMs
+ * @returns {Promise<Object[]|null>} - Pull requests with number, title and state, open ones first, or null when the lookup failed
+ */
+async function getPullRequestsForBranchFromApi(repositoryUrl, headOwner, branch, options) {
+    const orgRepo = extractOrgAndRepo(repositoryUrl);
+    if (!orgRepo) {
+        return null;
+    }
+
+    let response;
+    try {
+        const head = encodeURIComponent(`${headOwner}:${branch}`);
+        response = await requestJson(
+            `${options.apiBaseUrl}/repos/${orgRepo.org}/${orgRepo.repo}/pulls?head=${head}&state=all`,
+            { token: options.token, timeoutMs: options.timeoutMs }
+        );
+    } catch (error) {
+        return null;
+    }
+
+    if (!Array.isArray(response)) {
+        return null;
+    }
+
+    return response
+        .map(pullRequest => ({
+            number: pullRequest.number,
+            title: pullRequest.title,
+            state: pullRequest.state
+        }))
+        .sort((a, b) => Number(b.state === 'open') - Number(a.state === 'open'));
+}
+
+/**
+ * Find PR candidates for a commit, using the GitHub API when authenticated and
+ * falling back to parsing the commit message when offline, unauthenticated or not on GitHub.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {string} commitHash - The full commit hash
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Promise<Object[]>} - Candidates, see parsePullRequestCandidates
+ */
+async function findPullRequestCandidatesForCommit(gitRoot, repositoryInfo, commitHash, config) {
+    if (repositoryInfo.provider === 'github') {
+        const apiBaseUrl = getGitHubApiBaseUrl(repositoryInfo.url, config);
+        const token = await getGitHubToken(apiBaseUrl, config);
+        if (token) {
+            const pullRequests = await getPullRequestsForCommitFromApi(repositoryInfo.url, commitHash, {
+                apiBaseUrl,
+                token,
+                cacheDir: extensionContext ? extensionContext.globalStorageUri.fsPath : null
+            });
+            if (pullRequests && pullRequests.length > 0) {
+                return pullRequests.map(pullRequest => ({
+                    kind: 'pullRequest',
+                    number: String(pullRequest.number),
+                    repository: null,
+                    source: 'api',
+                    title: pullRequest.title
+                }));
+            }
+        }
+    }
+
+    return getPullRequestCandidatesFromCommit(gitRoot, commitHash, getRepositoryPath(repositoryInfo.url));
+}
+
+/**
+ * Find the PR number for a commit, see findPullRequestCandidatesForCommit
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} repositoryInfo - The repository info from getGitHubRepositoryInfo
+ * @param {string} commitHash - The full commit hash
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @returns {Promise<string|null>} - The PR number or null if not found
+ */
+async function findPRNumberForCommit(gitRoot, repositoryInfo, commitHash, config) {
+    const candidates = await findPullRequestCandidatesForCommit(gitRoot, repositoryInfo, commitHash, config);
+    const candidate = candidates.find(item => item.kind !== 'issue' && !item.repository);
+    return candidate ? candidate.number : null;
+}
+
+/**
+ * Let the user choose between several PR candidates, labelled by kind.
+ * @param {Object[]} candidates - Candidates, see parsePullRequestCandidates
+ * @param {string} providerId - The hosting provider id
+ * @returns {Promise<Object|null>} - The chosen candidate, or null when cancelled
+ */
+async function pickPullRequestCandidate(candidates, providerId) {
+    if (candidates.length === 1) {
+        return candidates[0];
+    }
+
+    const sourceDescriptions = {
+        api: 'from the GitHub API',
+        squashMerge: 'squash-merge subject',
+        mergeCommit: 'merge commit',
+        crossRepository: 'reference to another repository',
+        issueKeyword: 'closing keyword',
+        reference: 'mentioned in the commit message'
+    };
+    const choice = await vscode.window.showQuickPick(candidates.map(candidate => ({
+        label: describeCandidate(candidate, providerId),
+        description: candidate.title || sourceDescriptions[candidate.source],
+        candidate
+    })), { placeHolder: 'Several PRs or issues are referenced by this commit' });
+    return choice ? choice.candidate : null;
+}
+
+/**
+ * Let the user step back through the commits that changed a line, starting from a blame entry.
+ * @param {string} gitRoot - The git repository root
+ * @param {Object} blameEntry - The blame entry to start from
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @returns {Promise<Object|null>} - The chosen blame entry, or null when cancelled
+ */
+async function pickBlameEntry(gitRoot, blameEntry, options) {
+    let current = blameEntry;
+    while (current) {
+        const shortHash = current.commitHash.substring(0, 8);
+        const items = [{
+            label: `$(git-commit) ${shortHash} ${current.summary}`,
+            description: current.author,
+            step: 'use'
+        }];
+        if (current.previous) {
+            items.push({
+                label: '$(arrow-left) Previous change to this line',
+                description: `before ${shortHash}`,
+                step: 'previous'
+            });
+        }
+
+        const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Choose the commit to open the PR for' });
+        if (!choice) {
+            return null;
+        }
+
+        if (choice.step === 'use') {
+            return current;
+        }
+
+        const previous = await blameWithProgress(token => blamePreviousChange(gitRoot, current, options, token));
+        if (previous.cancelled) {
+            return null;
+        }
+        current = previous.entry;
+        if (!current) {
+            showError('Could not find an earlier change to this line');
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Open the PR for the last changed line in GitHub, or copy its link
+ * @param {string} action - 'open' or 'copy', see deliverLinks
+ * @param {boolean} stepThroughHistory - Whether to let the user step back to earlier commits first
+ */
+async function openPRForLastChangedLine(action = 'open', stepThroughHistory = false) {
+    try {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            showError('No active editor found');
+            return;
+        }
+
+        const location = getDocumentLocation(editor.document);
+        if (!location) {
+            showError('This document is not a file in a git repository');
+            return;
+        }
+
+        const filePath = location.filePath;
+        const config = vscode.workspace.getConfiguration('openInGithub');
+
+        // Get git repository root
+        const gitRoot = await getGitRoot(filePath);
+        if (!gitRoot) {
+            showError('File is not in a git repository');
+            return;
+        }
+
+        // Get repository URL with strict priority order
+        const repositoryInfo = await getRepositoryInfoForCommand(gitRoot, config);
+        if (!repositoryInfo) {
+            return;
+        }
+
+        // Get current line number (1-based for git blame)
+        const lineNumber = editor.selection.active.line + 1;
+
+        // Get commit from git blame
+        const blameOptions = getBlameOptions(config);
+        const blame = await blameWithProgress(token => blameLine(
+            gitRoot,
+            getRelativePath(filePath, gitRoot),
+            lineNumber,
+            blameOptions,
+            location.revision,
+            token
+        ));
+        if (blame.cancelled) {
+            return;
+        }
+        let blameEntry = blame.entry;
+        if (!blameEntry) {
+            showError('Could not determine commit for this line');
+            return;
+        }
+
+        if (isUncommittedHash(blameEntry.commitHash)) {
+            showError('This line has uncommitted changes, so it is not part of any PR yet');
+            return;
+        }
+
+        if (stepThroughHistory) {
+            blameEntry = await pickBlameEntry(gitRoot, blameEntry, blameOptions);
+            if (!blameEntry) {
+                return;
+            }
+        }
+
+        const commitHash = blameEntry.commitHash;
+
+        // Get PR candidates from the GitHub API or the commit message
+        const candidates = await findPullRequestCandidatesForCommit(gitRoot, repositoryInfo, commitHash, config);
+        if (candidates.length === 0) {
+            showError('Could not find PR number in commit message');
+            return;
+        }
+
+        const candidate = await pickPullRequestCandidate(candidates, repositoryInfo.provider);
+        if (!candidate) {
+            return;
+        }
+
+        // Construct and open PR (or issue) URL
+        const provider = getHostingProvider(repositoryInfo.provider);
+        const label = describeCandidate(candidate, repositoryInfo.provider);
+        await deliverLinks([{ url: getCandidateUrl(repositoryInfo, candidate), label }], action);
+
+        if (action === 'open') {
+            vscode.window.showInformationMessage(`Opened ${label} in ${provider.name}`);
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Open the PR for the current branch, or the page for creating one when there is none yet.
+ * The branch may be pushed to a fork (usually origin) while the PR targets the repository
+ * from getGitHubRepositoryInfo (usually upstream).
+ * @param {string} action - 'open' or 'copy', see deliverLinks
+ */
+async function openPRForCurrentBranch(action = 'open') {
+    try {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            showError('No active editor found');
+            return;
+        }
+
+        const location = getDocumentLocation(editor.document);
+        if (!location) {
+            showError('This document is not a file in a git repository');
+            return;
+        }
+
+        const filePath = location.filePath;
+        const config = vscode.workspace.getConfiguration('openInGithub');
+
+        // Get git repository root
+        const gitRoot = await getGitRoot(filePath);
+        if (!gitRoot) {
+            showError('File is not in a git repository');
+            return;
+        }
+
+        // Get repository URL with strict priority order
+        const repositoryInfo = await getRepositoryInfoForCommand(gitRoot, config);
+        if (!repositoryInfo) {
+            return;
+        }
+
+        const { stdout } = await runGit(gitRoot, ['branch', '--show-current']);
+        const localBranch = stdout.trim();
+        if (!localBranch) {
+            showError('HEAD is detached, so there is no branch to open a PR for');
+            return;
+        }
+
+        // Find the repository the branch is pushed to, which is a fork when it differs
+        const hostOptions = getHostOptions(config);
+        const pushBranch = await getPushBranch(gitRoot, localBranch);
+        const headRepositoryInfo = pushBranch
+            ? await getGitHubRepositoryInfoForRemote(gitRoot, pushBranch.remoteName, hostOptions) || repositoryInfo
+            : repositoryInfo;
+        const branch = pushBranch ? pushBranch.branch : localBranch;
+        const provider = getHostingProvider(repositoryInfo.provider);
+
+        // Look for an existing PR first
+        if (repositoryInfo.provider === 'github') {
+            const apiBaseUrl = getGitHubApiBaseUrl(repositoryInfo.url, config);
+            const token = await getGitHubToken(apiBaseUrl, config);
+            const headOrgRepo = extractOrgAndRepo(headRepositoryInfo.url);
+            if (token && headOrgRepo) {
+                const pullRequests = await getPullRequestsForBranchFromApi(repositoryInfo.url, headOrgRepo.org, branch, {
+                    apiBaseUrl,
+                    token
+                });
+                if (pullRequests && pullRequests.length > 0) {
+                    const label = `${provider.pullRequestName} #${pullRequests[0].number}`;
+                    await deliverLinks([{ url: constructPullRequestUrl(repositoryInfo, pullRequests[0].number), label }], action);
+                    if (action === 'open') {
+                        vscode.window.showInformationMessage(`Opened ${label} in ${provider.name}`);
+                    }
+                    return;
+                }
+            }
+        }
+
+        const refOptions = getRefOptions(config);
+        const base = repositoryInfo.remoteName
+            ? await getRemoteDefaultBranch(gitRoot, repositoryInfo.remoteName, refOptions) || FALLBACK_BRANCH
+            : FALLBACK_BRANCH;
+        const isFork = headRepositoryInfo.url !== repositoryInfo.url;
+        if (!isFork && branch === base) {
+            showError(`${branch} is the default branch, so there is nothing to compare it with`);
+            return;
+        }
+
+        if (pushBranch && !await remoteBranchExists(gitRoot, pushBranch.remoteName, branch, refOptions)) {
+            const choice = await vscode.window.showWarningMessage(
+                `Open in GitHub: ${branch} has not been pushed to ${pushBranch.remoteName} yet.`,
+                'Open Anyway'
+            );
+            if (choice !== 'Open Anyway') {
+                return;
+            }
+        }
+
+        const url = constructCompareUrl(repositoryInfo, headRepositoryInfo, branch, base);
+        await deliverLinks([{ url, label: `${branch} into ${base}` }], action);
+        if (action === 'open') {
+            vscode.window.showInformationMessage(
+                `Open in GitHub: no ${provider.pullRequestName} found for ${branch}, opening a new one against ${base}`
+            );
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Parse a GitHub line anchor such as #L40-L55 or #L40C3-L55C8.
+ * @param {string} hash - The URL hash, with or without the leading #
+ * @returns {Object|null} - Object with start, end and optional startColumn and endColumn, or null
+ */
+function parseLineAnchor(hash) {
+    const match = (hash || '').replace(/^#/, '').match(/^L(\d+)(?:C(\d+))?(?:-L(\d+)(?:C(\d+))?)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const lines = {
+        start: Number(match[1]),
+        end: Number(match[3] || match[1])
+    };
+    if (match[2] && match[4]) {
+        lines.startColumn = Number(match[2]);
+        lines.endColumn = Number(match[4]);
+    }
+
+    return lines;
+}
+
+/**
+ * Parse a link to a GitHub repository page, the reverse of the URL builders.
+ * Branch names may contain slashes, so blob, blame and tree links keep the ref and path
+ * together; see splitRefAndPath.
+ * @param {string} url - The link
+ * @param {Object} hostOptions - The host options used to recognize GitHub hosts, see getHostOptions
+ * @returns {Object|null} - Object with repositoryUrl, kind ('file', 'blame', 'tree', 'commit' or 'pullRequest'),
+ *   refAndPath, lines, commitHash, number and fileAnchor, or null if this is not a supported GitHub link
+ */
+function parseRepositoryLink(url, hostOptions = {}) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url.trim());
+    } catch (error) {
+        return null;
+    }
+
+    let segments;
+    try {
+        segments = parsedUrl.pathname.split('/').filter(segment => segment).map(segment => decodeURIComponent(segment));
+    } catch (error) {
+        return null;
+    }
+    // Encoded separators and dot segments would lead out of the repository once joined to a local path
+    if (segments.length < 3 || segments.some(segment => /[/\\]/.test(segment) || segment === '.' || segment === '..')) {
+        return null;
+    }
+
+    const normalized = normalizeRemoteUrl(`${parsedUrl.origin}/${segments[0]}/${segments[1]}`, hostOptions);
+    if (!normalized || normalized.provider !== 'github') {
+        return null;
+    }
+
+    const link = {
+        repositoryUrl: normalized.url,
+        kind: null,
+        refAndPath: null,
+        lines: null,
+        commitHash: null,
+        number: null,
+        fileAnchor: null
+    };
+    const [, , page, ...rest] = segments;
+    switch (page) {
+        case 'blob':
+        case 'blame':
+        case 'tree':
+            if (rest.length === 0) {
+                return null;
+            }
+            link.kind = page === 'blob' ? 'file' : page;
+            link.refAndPath = rest.join('/');
+            link.lines = page === 'tree' ? null : parseLineAnchor(parsedUrl.hash);
+            return link;
+        case 'commit':
+            if (!/^[0-9a-f]{4,40}$/i.test(rest[0] || '')) {
+                return null;
+            }
+            link.kind = 'commit';
+            link.commitHash = rest[0];
+            return link;
+        case 'pull':
+            if (!/^\d+$/.test(rest[0] || '')) {
+                return null;
+            }
+            link.kind = 'pullRequest';
+            link.number = rest[0];
+            link.fileAnchor = parsedUrl.hash.replace(/^#/, '') || null;
+            return link;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Split the ref and path of a blob, blame or tree link by finding the longest
+ * leading segments that name a ref in the local repository.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} refAndPath - The ref and path, e.g. feature/login/src/a.js
+ * @param {string|null} remoteName - The remote the link's repository is configured as
+ * @returns {Promise<Object>} - Object with ref, path and commitHash (null when the ref is not available locally)
+ */
+async function splitRefAndPath(gitRoot, refAndPath, remoteName) {
+    const segments = refAndPath.split('/');
+    for (let count = segments.length; count > 0; count--) {
+        const ref = segments.slice(0, count).join('/');
+        const candidates = remoteName ? [`refs/remotes/${remoteName}/${ref}`, ref] : [ref];
+        for (const candidate of candidates) {
+            const commitHash = await resolveRevision(gitRoot, candidate);
+            if (commitHash) {
+                return { ref, path: segments.slice(count).join('/'), commitHash };
+            }
+        }
+    }
+
+    // Not available locally, so assume a ref without slashes
+    return { ref: segments[0], path: segments.slice(1).join('/'), commitHash: null };
+}
+
+/**
+ * Find the local repository, among the given ones, with a remote for a repository URL.
+ * @param {string[]} gitRoots - Local git repository roots
+ * @param {string} repositoryUrl - The normalized repository URL
+ * @param {Object} hostOptions - The host options used to recognize remotes, see getHostOptions
+ * @returns {Promise<Object|null>} - Object with gitRoot and repositoryInfo, or null if no repository matches
+ */
+async function findLocalRepositoryForUrl(gitRoots, repositoryUrl, hostOptions = {}) {
+    const wantedUrl = repositoryUrl.toLowerCase();
+    for (const gitRoot of gitRoots) {
+        const repositoryInfos = await getAllRepositoryInfos(gitRoot, hostOptions);
+        const repositoryInfo = repositoryInfos.find(info => info.url.toLowerCase() === wantedUrl);
+        if (repositoryInfo) {
+            return { gitRoot, repositoryInfo };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the git repository roots of the workspace folders.
+ * @returns {Promise<string[]>} - The distinct git roots
+ */
+async function getWorkspaceGitRoots() {
+    const gitRoots = [];
+    for (const workspaceFolder of vscode.workspace.workspaceFolders || []) {
+        const gitRoot = await getGitRoot(workspaceFolder.uri.fsPath);
+        if (gitRoot && !gitRoots.includes(gitRoot)) {
+            gitRoots.push(gitRoot);
+        }
+    }
+
+    return gitRoots;
+}
+
+/**
+ * Build a URI that VS Code's git extension resolves to a file at a revision.
+ * @param {string} filePath - The absolute file path
+ * @param {string} ref - The revision
+ * @returns {vscode.Uri} - The git: URI, see parseGitUri
+ */
+function toGitUri(filePath, ref) {
+    return vscode.Uri.file(filePath).with({ scheme: 'git', query: JSON.stringify({ path: filePath, ref }) });
+}
+
+/**
+ * Check whether the working copy of a file differs from a commit.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} relativePath - The relative path from git root
+ * @param {string} commitHash - The commit to compare with
+ * @returns {Promise<boolean>} - True if the file differs or is missing locally
+ */
+async function fileDiffersFromCommit(gitRoot, relativePath, commitHash) {
+    try {
+        await runGit(gitRoot, ['diff', '--quiet', commitHash, '--', relativePath]);
+        return false;
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Open a document and select a line range from a link.
+ * @param {vscode.Uri} uri - The document to open
+ * @param {Object|null} lines - The 1-based line range, see parseLineAnchor
+ */
+async function showDocumentAtLines(uri, lines) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const editor = await vscode.window.showTextDocument(document);
+    if (!lines) {
+        return;
+    }
+
+    const lastLine = Math.min(lines.end, document.lineCount);
+    const startLine = Math.min(lines.start, lastLine);
+    const start = new vscode.Position(startLine - 1, lines.startColumn ? lines.startColumn - 1 : 0);
+    const end = new vscode.Position(
+        lastLine - 1,
+        lines.endColumn ? lines.endColumn : document.lineAt(lastLine - 1).text.length
+    );
+    editor.selection = new vscode.Selection(start, end);
+    editor.revealRange(new vscode.Range(start, end), vscode.TextEditorRevealType.InCenter);
+}
+
+/**
+ * Get the local path of a repository path from a link, refusing paths that lead out of the repository.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} relativePath - The path from the git root, with forward slashes
+ * @returns {string|null} - The absolute path, or null when it is outside the repository
+ */
+function getPathInRepository(gitRoot, relativePath) {
+    const filePath = path.join(gitRoot, ...relativePath.split('/'));
+    const fromRoot = path.relative(gitRoot, filePath);
+    if (fromRoot === '..' || fromRoot.startsWith(`..${path.sep}`) || path.isAbsolute(fromRoot)) {
+        return null;
+    }
+
+    return filePath;
+}
+
+/**
+ * Open the local file for a blob or blame link, offering the linked revision when the
+ * local checkout of the file differs from it.
+ * @param {Object} local - The local repository, see findLocalRepositoryForUrl
+ * @param {Object} link - The parsed link, see parseRepositoryLink
+ */
+async function openLinkedFile(local, link) {
+    const target = await splitRefAndPath(local.gitRoot, link.refAndPath, local.repositoryInfo.remoteName);
+    const filePath = getPathInRepository(local.gitRoot, target.path);
+    if (!filePath) {
+        showError(`${target.path} is outside the repository`);
+        return;
+    }
+    const existsLocally = fs.existsSync(filePath);
+
+    if (!target.commitHash) {
+        if (!existsLocally) {
+            showError(`${target.path} does not exist locally and ${target.ref} is not available. Fetch it first.`);
+            return;
+        }
+
+        vscode.window.showWarningMessage(
+            `Open in GitHub: ${target.ref} is not available locally, so the lines may not match your checkout.`
+        );
+        await showDocumentAtLines(vscode.Uri.file(filePath), link.lines);
+        return;
+    }
+
+    let uri = vscode.Uri.file(filePath);
+    if (await fileDiffersFromCommit(local.gitRoot, target.path, target.commitHash)) {
+        const viewRevision = `View ${target.ref.length === 40 ? target.ref.substring(0, 8) : target.ref}`;
+        const choices = existsLocally ? ['Open Local File', viewRevision] : [viewRevision];
+        const reason = existsLocally ? 'differs from' : 'does not exist locally, only on';
+        const choice = await vscode.window.showWarningMessage(
+            `Open in GitHub: ${target.path} ${reason} ${target.ref}.`,
+            ...choices
+        );
+        if (!choice) {
+            return;
+        }
+
+        if (choice === viewRevision) {
+            uri = toGitUri(filePath, target.commitHash);
+        }
+    }
+
+    await showDocumentAtLines(uri, link.lines);
+}
+
+/**
+ * Open the diff of a file changed by a commit link, picking the file when there are several.
+ * @param {string} gitRoot - The git repository root
+ * @param {string} commitHash - The (possibly abbreviated) commit hash from the link
+ */
+async function openLinkedCommit(gitRoot, commitHash) {
+    const commit = await resolveRevision(gitRoot, commitHash);
+    if (!commit) {
+        showError(`Commit ${commitHash.substring(0, 8)} is not available locally. Fetch it first.`);
+        return;
+    }
+
+    const { stdout } = await runGit(gitRoot, ['diff-tree', '--no-commit-id', '--name-only', '-r', '--root', commit]);
+    const files = stdout.split('\n').filter(file => file);
+    if (files.length === 0) {
+        vscode.window.showInformationMessage(`Open in GitHub: commit ${commit.substring(0, 8)} does not change any files`);
+        return;
+    }
+
+    const file = files.length === 1
+        ? files[0]
+        : await vscode.window.showQuickPick(files, { placeHolder: `Files changed in ${commit.substring(0, 8)}` });
+    if (!file) {
+        return;
+    }
+
+    const filePath = path.join(gitRoot, ...file.split('/'));
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        toGitUri(filePath, `${commit}^`),
+        toGitUri(filePath, commit),
+        `${path.basename(file)} (${commit.substring(0, 8)})`
+    );
+}
+
+/**
+ * List the files changed by a pull request through the GitHub REST API,
+ * GET /repos/{owner}/{repo}/pulls/{number}/files.
+ * Every page is fetched, up to the 3000 files GitHub lists at most.
+ * @param {string} repositoryUrl - The normalized GitHub repository URL
+ * @param {string|number} number - The pull request number
+ * @param {Object} options - apiBaseUrl, token and optional timeoutMs
+ * @returns {Promise<string[]|null>} - The changed file paths, or null when the lookup failed
+ */
+async function getPullRequestFilesFromApi(repositoryUrl, number, options) {
+    const orgRepo = extractOrgAndRepo(repositoryUrl);
+    if (!orgRepo) {
+        return null;
+    }
+
+    try {
+        const files = await requestJsonPages(
+            `${options.apiBaseUrl}/repos/${orgRepo.org}/${orgRepo.repo}/pulls/${number}/files?per_page=100`,
+            { token: options.token, timeoutMs: options.timeoutMs },
+            MAX_PULL_REQUEST_FILES
+        );
+        return files.map(file => file.filename);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the file and line a pull request files anchor points to. GitHub names these
+ * #diff-<sha256 of the path>, optionally followed by R<line> (new side) or L<line> (old side).
+ * @param {string[]} files - The files changed by the pull request
+ * @param {string|null} anchor - The anchor without #
+ * @returns {Object|null} - Object with file and lines (null without a line), or null if no file matches
+ */
+function findPullRequestFileForAnchor(files, anchor) {
+    const match = (anchor || '').match(/^diff-([0-9a-f]{64})(?:([RL])(\d+)(?:-[RL](\d+))?)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const file = files.find(candidate => crypto.createHash('sha256').update(candidate).digest('hex') === match[1]);
+    if (!file) {
+        return null;
+    }
+
+    const lines = match[3] ? { start: Number(match[3]), end: Number(match[4] || match[3]) } : null;
+    return { file, lines };
+}
+
+/**
+ * Open a local file from a pull request files link.
+ * @param {Object} local - The local repository, see findLocalRepositoryForUrl
+ * @param {Object} link - The parsed link, see parseRepositoryLink
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ */
+async function openLinkedPullRequestFiles(local, link, config) {
+    const repositoryUrl = local.repositoryInfo.url;
+    const apiBaseUrl = getGitHubApiBaseUrl(repositoryUrl, config);
+    const token = await getGitHubToken(apiBaseUrl, config);
+    if (!token) {
+        showError('Opening PR links needs a GitHub token to list the changed files. Configure openInGithub.githubToken or sign in to GitHub.');
+        return;
+    }
+
+    const files = await getPullRequestFilesFromApi(repositoryUrl, link.number, {
+        apiBaseUrl,
+        token
+    });
+    if (!files || files.length === 0) {
+        showError(`Could not list the files of PR #${link.number}`);
+        return;
+    }
+
+    let target = findPullRequestFileForAnchor(files, link.fileAnchor);
+    if (!target) {
+        const file = await vscode.window.showQuickPick(files, { placeHolder: `Files changed in PR #${link.number}` });
+        if (!file) {
+            return;
+        }
+        target = { file, lines: null };
+    }
+
+    const filePath = getPathInRepository(local.gitRoot, target.file);
+    if (!filePath) {
+        showError(`${target.file} is outside the repository`);
+        return;
+    }
+    if (!fs.existsSync(filePath)) {
+        showError(`${target.file} does not exist in your checkout. Check out the PR branch first.`);
+        return;
+    }
+
+    await showDocumentAtLines(vscode.Uri.file(filePath), target.lines);
+}
+
+/**
+ * Open a GitHub link in the local editor: files at their lines, folders in the explorer,
+ * commits as diffs and pull request files from the local checkout.
+ * @param {string} url - The link
+ */
+async function openLinkInEditor(url) {
+    try {
+        const config = vscode.workspace.getConfiguration('openInGithub');
+        const hostOptions = getHostOptions(config);
+        const link = parseRepositoryLink(url, hostOptions);
+        if (!link) {
+            showError(`Not a GitHub file, folder, commit or PR link: ${url}`);
+            return;
+        }
+
+        const local = await findLocalRepositoryForUrl(await getWorkspaceGitRoots(), link.repositoryUrl, hostOptions);
+        if (!local) {
+            showError(`No repository in this workspace has a remote for ${link.repositoryUrl}`);
+            return;
+        }
+
+        if (link.kind === 'file' || link.kind === 'blame') {
+            await openLinkedFile(local, link);
+        } else if (link.kind === 'tree') {
+            const target = await splitRefAndPath(local.gitRoot, link.refAndPath, local.repositoryInfo.remoteName);
+            const folderPath = getPathInRepository(local.gitRoot, target.path);
+            if (!folderPath) {
+                showError(`${target.path} is outside the repository`);
+                return;
+            }
+            if (!fs.existsSync(folderPath)) {
+                showError(`${target.path} does not exist locally`);
+                return;
+            }
+            await vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(folderPath));
+        } else if (link.kind === 'commit') {
+            await openLinkedCommit(local.gitRoot, link.commitHash);
+        } else {
+            await openLinkedPullRequestFiles(local, link, config);
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Ask for a GitHub link, suggesting the clipboard contents, and open it in the editor.
+ */
+async function promptForLinkToOpen() {
+    let suggestion = '';
+    try {
+        const clipboardText = (await vscode.env.clipboard.readText()).trim();
+        suggestion = /^https?:\/\/\S+$/.test(clipboardText) ? clipboardText : '';
+    } catch (error) {
+        // Clipboard access is optional
+    }
+
+    const url = await vscode.window.showInputBox({
+        prompt: 'GitHub link to a file, folder, commit or PR',
+        placeHolder: 'https://github.com/owner/repo/blob/main/src/file.ts#L40-L55',
+        value: suggestion
+    });
+    if (url) {
+        await openLinkInEditor(url);
+    }
+}
+
+/**
+ * Get the whole-file blame for a document, computed once and reused until the document is edited,
+ * HEAD moves or the blame options change.
+ * @param {vscode.TextDocument} document - The document
+ * A blame that is cancelled is not reused.
+ * @param {Object} options - Blame options, see getBlameOptions
+ * @param {vscode.CancellationToken|null} token - Optional cancellation token
+ * @returns {Promise<Object|null>} - Object with gitRoot and entries (see blameFile), or null if the document
+ *   is not in a repository or the blame was cancelled
+ */
+async function getDocumentBlame(document, options = {}, token = null) {
+    const location = getDocumentLocation(document);
+    if (!location) {
+        return null;
+    }
+
+    const gitRoot = await getGitRoot(location.filePath);
+    if (!gitRoot) {
+        return null;
+    }
+
+    const key = document.uri.toString();
+    const head = await resolveRevision(gitRoot, 'HEAD');
+    const optionsKey = JSON.stringify(options);
+    const cached = documentBlameCache.get(key);
+    if (cached && cached.version === document.version && cached.head === head && cached.optionsKey === optionsKey) {
+        return cached.blame;
+    }
+
+    const blame = blameFile(
+        gitRoot,
+        getRelativePath(location.filePath, gitRoot),
+        options,
+        location.revision ? null : document.getText(),
+        location.revision,
+        token
+    ).then((entries) => {
+        if (token && token.isCancellationRequested) {
+            if (documentBlameCache.get(key) && documentBlameCache.get(key).blame === blame) {
+                documentBlameCache.delete(key);
+            }
+            return null;
+        }
+        return { gitRoot, entries };
+    });
+    documentBlameCache.set(key, { version: document.version, head, optionsKey, blame });
+    return blame;
+}
+
+/**
+ * Format how long ago a time was, e.g. "3 days ago".
+ * @param {number} seconds - The time in seconds since the epoch
+ * @param {number} now - The current time in milliseconds since the epoch
+ * @returns {string} - The relative time
+ */
+function formatRelativeTime(seconds, now = Date.now()) {
+    const elapsed = Math.max(0, Math.floor(now / 1000 - seconds));
+    const units = [
+        ['year', 365 * 24 * 60 * 60],
+        ['month', 30 * 24 * 60 * 60],
+        ['week', 7 * 24 * 60 * 60],
+        ['day', 24 * 60 * 60],
+        ['hour', 60 * 60],
+        ['minute', 60]
+    ];
+    for (const [unit, length] of units) {
+        const count = Math.floor(elapsed / length);
+        if (count > 0) {
+            return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+        }
+    }
+
+    return 'just now';
+}
+
+/**
+ * Format the end-of-line annotation for a blamed line, e.g. "Jane Doe, 3 days ago • Fix parser".
+ * @param {Object} entry - The blame entry, see parseBlamePorcelain
+ * @param {number} now - The current time in milliseconds since the epoch
+ * @returns {string} - The annotation
+ */
+function formatBlameAnnotation(entry, now = Date.now()) {
+    if (isUncommittedHash(entry.commitHash)) {
+        return 'You • Uncommitted changes';
+    }
+
+    return `${entry.author}, ${formatRelativeTime(entry.authorTime, now)} • ${entry.summary}`;
+}
+
+/**
+ * Escape text for use in Markdown.
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeMarkdown(text) {
+    // $ as well, since hovers render $(name) as a theme icon
+    return text.replace(/[\\`*_{}[\]()#+\-.!<>|~$]/g, '\\$&');
+}
+
+/**
+ * Format the hover for a blamed line: author, date, commit subject and links to the commit and PR.
+ * @param {Object} entry - The blame entry, see parseBlamePorcelain
+ * @param {Object|null} repositoryInfo - The repository info from getGitHubRepositoryInfo; no links when null
+ * @param {string|null} prNumber - The PR number from getPRNumberFromCommit
+ * @param {number} now - The current time in milliseconds since the epoch
+ * @returns {string} - The Markdown
+ */
+function formatBlameHover(entry, repositoryInfo, prNumber, now = Date.now()) {
+    if (isUncommittedHash(entry.commitHash)) {
+        return '**You**, uncommitted changes';
+    }
+
+    const date = new Date(entry.authorTime * 1000).toISOString().substring(0, 10);
+    const lines = [
+        `**${escapeMarkdown(entry.author)}**, ${formatRelativeTime(entry.authorTime, now)} (${date})`,
+        '',
+        escapeMarkdown(entry.summary)
+    ];
 
-        const repositoryInfo = await getGitHubRepositoryInfoForRemote(gitRoot, remote);
-        if (repositoryInfo) {
-            return repositoryInfo;
+    const shortHash = entry.commitHash.substring(0, 8);
+    if (repositoryInfo) {
+        const provider = getHostingProvider(repositoryInfo.provider);
+        const links = [`[$(git-commit) ${shortHash}](${constructCommitUrl(repositoryInfo, entry.commitHash)})`];
+        if (prNumber) {
+            links.push(`[$(git-pull-request) ${provider.pullRequestName} #${prNumber}](${constructPullRequestUrl(repositoryInfo, prNumber)})`);
         }
+        lines.push('', links.join(' | '));
+    } else {
+        lines.push('', `$(git-commit) ${shortHash}`);
     }
 
-    return null;
+    return lines.join('\n');
 }
 
 /**
- * Get GitHub repository URL following strict priority order.
+ * Get the repository a blame hover links to and the message of the hovered commit, cached next to the
+ * blame so that moving the mouse does not run git. Commit messages never change; the repository is looked
+ * up again after BLAME_HOVER_REPOSITORY_TTL_MS and when the settings change.
  * @param {string} gitRoot - The git repository root
+ * @param {string} commitHash - The full commit hash
  * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
- * @returns {Promise<string|null>} - The GitHub repository URL or null if not found
+ * @returns {Promise<Object>} - Object with repositoryInfo (null without a supported remote) and message
  */
-async function getGitHubRepositoryUrl(gitRoot, config) {
-    const repositoryInfo = await getGitHubRepositoryInfo(gitRoot, config);
-    return repositoryInfo ? repositoryInfo.url : null;
-}
+async function getBlameHoverContext(gitRoot, commitHash, config) {
+    let cached = blameHoverCache.get(gitRoot);
+    if (!cached || Date.now() - cached.time > BLAME_HOVER_REPOSITORY_TTL_MS) {
+        cached = {
+            time: Date.now(),
+            repositoryInfo: getGitHubRepositoryInfo(gitRoot, config).catch(() => null),
+            messages: cached ? cached.messages : new Map()
+        };
+        blameHoverCache.set(gitRoot, cached);
+    }
 
-/**
- * Construct the GitHub URL for a file
- * @param {string} repositoryUrl - The base repository URL
- * @param {string} gitRef - The git reference (branch or commit)
- * @param {string} relativePath - The relative path from git root
- * @param {number} lineNumber - Optional line number
- * @returns {string} - The GitHub URL
- */
-function constructGitHubUrl(repositoryUrl, gitRef, relativePath, lineNumber = null) {
-    let url = `${repositoryUrl}/blob/${gitRef}/${relativePath}`;
-    if (lineNumber) {
-        url += `#L${lineNumber}`;
+    if (!cached.messages.has(commitHash)) {
+        // Forget the oldest message first
+        if (cached.messages.size >= BLAME_HOVER_MAX_MESSAGES) {
+            cached.messages.delete(cached.messages.keys().next().value);
+        }
+        cached.messages.set(commitHash, getCommitMessage(gitRoot, commitHash));
     }
-    return url;
-}
 
-/**
- * Open a URL in the default browser
- * @param {string} url - The URL to open
- */
-async function openInBrowser(url) {
-    const {default: open} = require('open');
-    await open(url);
+    return { repositoryInfo: await cached.repositoryInfo, message: await cached.messages.get(commitHash) };
 }
 
 /**
- * Show an error message to the user
- * @param {string} message - The error message
+ * Get the blame hover Markdown for a line of a document.
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} lineNumber - The line number (1-based)
+ * @param {vscode.CancellationToken|null} token - Optional cancellation token, e.g. for a hover that was dismissed
+ * @returns {Promise<string|null>} - The Markdown, or null when the line has no blame or it was cancelled
  */
-function showError(message) {
-    vscode.window.showErrorMessage(`Open in GitHub: ${message}`);
+async function getBlameHoverForLine(document, lineNumber, token = null) {
+    const config = vscode.workspace.getConfiguration('openInGithub');
+    const blame = await getDocumentBlame(document, getBlameOptions(config), token);
+    const entry = blame && blame.entries.get(lineNumber);
+    if (!entry) {
+        return null;
+    }
+
+    if (isUncommittedHash(entry.commitHash)) {
+        return formatBlameHover(entry, null, null);
+    }
+
+    const { repositoryInfo, message } = await getBlameHoverContext(blame.gitRoot, entry.commitHash, config);
+    const prNumber = findPRNumberInMessage(message, repositoryInfo ? getRepositoryPath(repositoryInfo.url) : null);
+    if (token && token.isCancellationRequested) {
+        return null;
+    }
+    return formatBlameHover(entry, repositoryInfo, prNumber);
 }
 
 /**
- * Show which GitHub ref is being opened.
- * @param {Object} gitRefInfo - The resolved GitHub ref information
+ * Create the hover provider that shows blame for the hovered line, when openInGithub.blame.hover is enabled.
+ * @returns {vscode.HoverProvider} - The hover provider
  */
-function showOpeningRefMessage(gitRefInfo) {
-    if (gitRefInfo.type === 'commit') {
-        vscode.window.showInformationMessage(`Open in GitHub: opening on commit ${gitRefInfo.ref.substring(0, 8)}`);
-        return;
-    }
+function createBlameHoverProvider() {
+    return {
+        async provideHover(document, position, token) {
+            const config = vscode.workspace.getConfiguration('openInGithub');
+            if (!config.get('blame.hover', true)) {
+                return null;
+            }
 
-    const fallbackReason = gitRefInfo.fellBackToMain
-        ? ` (local branch ${gitRefInfo.localBranch} not found on ${gitRefInfo.remoteName})`
-        : '';
-    vscode.window.showInformationMessage(`Open in GitHub: opening on branch ${gitRefInfo.ref}${fallbackReason}`);
+            const markdown = await getBlameHoverForLine(document, position.line + 1, token);
+            if (!markdown) {
+                return null;
+            }
+
+            return new vscode.Hover(new vscode.MarkdownString(markdown, true));
+        }
+    };
 }
 
 /**
- * Open the current file in GitHub
- * @param {boolean} includeLineNumber - Whether to include the current line number
+ * Show the blame of the cursor line at the end of that line, when openInGithub.blame.currentLine is enabled.
+ * @param {vscode.ExtensionContext} context - The extension context
  */
-async function openFileInGitHub(includeLineNumber = false) {
-    try {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            showError('No active editor found');
-            return;
+function registerCurrentLineBlame(context) {
+    const decorationType = vscode.window.createTextEditorDecorationType({
+        after: {
+            margin: '0 0 0 3em',
+            color: new vscode.ThemeColor('editorCodeLens.foreground'),
+            fontStyle: 'italic'
+        },
+        rangeBehavior: vscode.DecorationRangeBehavior.ClosedOpen
+    });
+    let timer = null;
+    let updateId = 0;
+
+    const update = async (editor) => {
+        const id = ++updateId;
+        for (const visibleEditor of vscode.window.visibleTextEditors) {
+            if (visibleEditor !== editor) {
+                visibleEditor.setDecorations(decorationType, []);
+            }
         }
 
-        const filePath = editor.document.uri.fsPath;
         const config = vscode.workspace.getConfiguration('openInGithub');
-        const useCommitHash = config.get('useCommitHash', false);
-
-        // Get git repository root
-        const gitRoot = await getGitRoot(filePath);
-        if (!gitRoot) {
-            showError('File is not in a git repository');
+        if (!editor || !config.get('blame.currentLine', false) || !getDocumentLocation(editor.document)) {
+            if (editor) {
+                editor.setDecorations(decorationType, []);
+            }
             return;
         }
 
-        // Get GitHub repository URL with strict priority order
-        const repositoryInfo = await getGitHubRepositoryInfo(gitRoot, config);
-        if (!repositoryInfo) {
-            showError('Could not determine GitHub repository URL. Please configure openInGithub.repositoryUrl or ensure a GitHub remote exists.');
+        const line = editor.selection.active.line;
+        const blame = await getDocumentBlame(editor.document, getBlameOptions(config));
+        const entry = blame && blame.entries.get(line + 1);
+        // A newer cursor move or edit has already started its own update
+        if (id !== updateId) {
             return;
         }
 
-        // Get git reference (branch or commit)
-        const gitRefInfo = await getGitHubRef(gitRoot, useCommitHash, repositoryInfo.remoteName);
+        if (!entry) {
+            editor.setDecorations(decorationType, []);
+            return;
+        }
 
-        // Get relative path from git root
-        const relativePath = getRelativePath(filePath, gitRoot);
+        const endOfLine = editor.document.lineAt(line).range.end;
+        editor.setDecorations(decorationType, [{
+            range: new vscode.Range(endOfLine, endOfLine),
+            renderOptions: { after: { contentText: formatBlameAnnotation(entry) } }
+        }]);
+    };
 
-        // Get line number if requested
-        let lineNumber = null;
-        if (includeLineNumber) {
-            lineNumber = editor.selection.active.line + 1; // GitHub uses 1-based line numbers
-        }
+    // Blame runs after the cursor settles, not on every keystroke
+    const scheduleUpdate = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => update(vscode.window.activeTextEditor), 250);
+    };
 
-        // Construct and open URL
-        const url = constructGitHubUrl(repositoryInfo.url, gitRefInfo.ref, relativePath, lineNumber);
-        showOpeningRefMessage(gitRefInfo);
-        await openInBrowser(url);
-    } catch (error) {
-        showError(error.message);
-    }
+    context.subscriptions.push(
+        decorationType,
+        vscode.window.onDidChangeActiveTextEditor(scheduleUpdate),
+        vscode.window.onDidChangeTextEditorSelection(scheduleUpdate),
+        vscode.workspace.onDidChangeTextDocument(scheduleUpdate),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('openInGithub.blame')) {
+                scheduleUpdate();
+            }
+        }),
+        { dispose: () => clearTimeout(timer) }
+    );
+    scheduleUpdate();
 }
 
 /**
- * Open the repository root in GitHub
+ * Build a link for a file without an editor, for the command line. Links resolve through resolveLinkTarget like
+ * the commands, except that nothing is asked: the preferred remote and the submodule checkout are used where a command would ask.
+ * @param {string} filePath - The file or directory path
+ * @param {Object} config - The configuration, read through get(key, defaultValue) like a WorkspaceConfiguration
+ * @param {Object} options - Optional target ('file', 'blame', 'history', 'commit' or 'pr'), lines ({ start, end }),
+ *   remoteName (the remote to link to) and useCommitHash
+ * @returns {Promise<Object>} - Object with url and warnings; rejects with a message for the user when there is no link
  */
-async function openRepositoryInGitHub() {
-    try {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            showError('No active editor found');
-            return;
-        }
+async function resolveLinkForPath(filePath, config, options = {}) {
+    const target = options.target || 'file';
+    const lines = options.lines || null;
+    const warnings = [];
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${filePath} does not exist`);
+    }
 
-        const filePath = editor.document.uri.fsPath;
-        const config = vscode.workspace.getConfiguration('openInGithub');
+    // Commits and PRs are found by blaming the line
+    if (target === 'commit' || target === 'pr') {
+        if (!lines) {
+            throw new Error(`A line number is needed to find the ${target === 'pr' ? 'PR' : 'commit'} that last changed it`);
+        }
 
-        // Get git repository root
         const gitRoot = await getGitRoot(filePath);
         if (!gitRoot) {
-            showError('File is not in a git repository');
-            return;
+            throw new Error(`${filePath} is not in a git repository`);
         }
 
-        // Get GitHub repository URL with strict priority order
-        const repositoryInfo = await getGitHubRepositoryInfo(gitRoot, config);
+        const repositoryInfo = options.remoteName
+            ? await getGitHubRepositoryInfoForRemote(gitRoot, options.remoteName, getHostOptions(config))
+            : await getGitHubRepositoryInfo(gitRoot, config);
         if (!repositoryInfo) {
-            showError('Could not determine GitHub repository URL. Please configure openInGithub.repositoryUrl or ensure a GitHub remote exists.');
-            return;
+            throw new Error(options.remoteName
+                ? `Remote ${options.remoteName} does not exist or does not point to a supported host`
+                : 'No git remote points to a supported host');
         }
 
-        // Get git reference
-        const useCommitHash = config.get('useCommitHash', false);
-        const gitRefInfo = await getGitHubRef(gitRoot, useCommitHash, repositoryInfo.remoteName);
+        const blameEntry = await blameLine(gitRoot, getRelativePath(filePath, gitRoot), lines.start, getBlameOptions(config));
+        if (!blameEntry) {
+            throw new Error(`Could not blame line ${lines.start}`);
+        }
+        if (isUncommittedHash(blameEntry.commitHash)) {
+            throw new Error(`Line ${lines.start} has uncommitted changes`);
+        }
 
-        // Open repository root
-        const url = `${repositoryInfo.url}/tree/${gitRefInfo.ref}`;
-        showOpeningRefMessage(gitRefInfo);
-        await openInBrowser(url);
-    } catch (error) {
-        showError(error.message);
+        if (target === 'commit') {
+            return { url: constructCommitUrl(repositoryInfo, blameEntry.commitHash), warnings };
+        }
+
+        const prNumber = await findPRNumberForCommit(gitRoot, repositoryInfo, blameEntry.commitHash, config);
+        if (!prNumber) {
+            throw new Error(`No PR found for commit ${blameEntry.commitHash.substring(0, 8)}`);
+        }
+        return { url: constructPullRequestUrl(repositoryInfo, prNumber), warnings };
+    }
+
+    const linkTarget = await resolveLinkTarget(filePath, config, {
+        useCommitHash: Boolean(options.useCommitHash) || config.get('useCommitHash', false),
+        interactive: false,
+        remoteName: options.remoteName
+    });
+    const reason = describeRefReason(linkTarget.gitRefInfo);
+    if (linkTarget.gitRefInfo.fellBackToMain && reason) {
+        warnings.push(reason);
     }
+
+    if (fs.statSync(filePath).isDirectory()) {
+        return { url: constructViewUrl(target, linkTarget, null, true), warnings };
+    }
+
+    // Translate the line numbers through local changes, like the editor commands
+    let remoteLines = lines;
+    if (lines && target !== 'history') {
+        const remote = await getRemoteLineRanges(linkTarget, [lines], fs.readFileSync(filePath, 'utf8'), config);
+        remoteLines = remote.lineRanges[0];
+        if (remote.missingReason) {
+            warnings.push(`${remote.missingReason}; linking without the lines`);
+        }
+    }
+
+    return { url: constructViewUrl(target, linkTarget, remoteLines), warnings };
 }
 
 /**
- * Get the commit hash for a specific line using git blame
- * @param {string} gitRoot - The git repository root
- * @param {string} filePath - The absolute file path
- * @param {number} lineNumber - The line number (1-based)
- * @returns {Promise<string|null>} - The commit hash or null if not found
+ * Explain step by step how links for a file are resolved: the git root, every remote and whether it is
+ * recognized, then the decisions resolveLinkTarget traces (submodule, repository, branch checks and path
+ * mapping) and the resulting URLs. Nothing is asked; where a command would ask, the report says so.
+ * @param {string} filePath - The file path
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {Object} options - Optional lines (the selected line range), documentText (the unsaved contents)
+ *   and revision (for git: documents, see getDocumentLocation)
+ * @returns {Promise<string[]>} - The report lines
  */
-async function getCommitHashFromBlame(gitRoot, filePath, lineNumber) {
+async function explainLinkResolution(filePath, config, options = {}) {
+    const report = [`Link resolution for ${filePath}`];
+    const section = (title) => report.push('', `${title}:`);
+    const item = (text) => report.push(`  ${text}`);
+
+    const gitRoot = await getGitRoot(filePath);
+    if (!gitRoot) {
+        item('Not in a git repository');
+        return report;
+    }
+    const relativePath = getRelativePath(filePath, gitRoot);
+    report.push(`Git root: ${gitRoot}`, `Path: ${relativePath}`);
+
+    section('Remotes');
+    const hostOptions = getHostOptions(config);
+    const remotes = await getAllRemotes(gitRoot);
+    if (remotes.length === 0) {
+        item('None');
+    }
+    for (const remote of remotes) {
+        const remoteUrl = await getRemoteUrl(gitRoot, remote);
+        const normalized = normalizeRemoteUrl(remoteUrl, hostOptions);
+        item(`${remote}: ${remoteUrl} -> ` + (normalized
+            ? `${normalized.url} (${getHostingProvider(normalized.provider).name})`
+            : 'not recognized; add its host to openInGithub.githubHosts or openInGithub.providerHosts'));
+    }
+
+    // The decisions come from the same resolution the commands use, without asking
+    section('Resolution');
+    const trace = [];
+    let target;
     try {
-        const relativePath = getRelativePath(filePath, gitRoot);
-        const { stdout } = await execAsync(
-            `git blame -L ${lineNumber},${lineNumber} --porcelain "${relativePath}"`,
-            { cwd: gitRoot }
-        );
+        target = await resolveLinkTarget(filePath, config, {
+            useCommitHash: config.get('useCommitHash', false),
+            interactive: false,
+            revision: options.revision,
+            trace
+        });
+    } catch (error) {
+        trace.forEach(item);
+        item(error.message);
+        return report;
+    }
+    trace.forEach(item);
+    const reason = describeRefReason(target.gitRefInfo);
+    item(`Linking to ${target.repositoryInfo.url} at ${target.gitRefInfo.type} ${target.gitRefInfo.ref}${reason ? ` (${reason})` : ''}`);
 
-        // Parse git blame output to extract commit hash
-        // The first line contains the commit hash
-        const lines = stdout.split('\n');
-        if (lines.length > 0) {
-            const match = lines[0].match(/^([a-f0-9]{40})/);
-            if (match) {
-                return match[1];
-            }
+    section('Links');
+    item(`File: ${constructViewUrl('file', target)}`);
+    if (options.lines) {
+        const lineTrace = [];
+        const remote = options.documentText === undefined
+            ? { lineRanges: [options.lines] }
+            : await getRemoteLineRanges(target, [options.lines], options.documentText, config, lineTrace);
+        lineTrace.forEach(item);
+        const remoteLines = remote.lineRanges[0];
+        item(remoteLines
+            ? `Lines: ${constructViewUrl('file', target, remoteLines)}`
+            : `Lines: the selected lines do not exist on ${target.gitRefInfo.ref}`);
+    }
+
+    return report;
+}
+
+/**
+ * Explain how links for the active editor are resolved in the output channel.
+ */
+async function showLinkResolution() {
+    try {
+        const editor = vscode.window.activeTextEditor;
+        const location = editor ? getDocumentLocation(editor.document) : null;
+        if (!location) {
+            showError('No file in a git repository is open');
+            return;
         }
-        return null;
+
+        const report = await explainLinkResolution(location.filePath, vscode.workspace.getConfiguration('openInGithub'), {
+            lines: getSelectedLineRanges(editor.selections)[0],
+            documentText: editor.document.getText(),
+            revision: location.revision
+        });
+        const channel = getOutputChannel();
+        channel.appendLine(report.join('\n'));
+        channel.appendLine('');
+        channel.show(true);
     } catch (error) {
-        return null;
+        showError(error.message);
     }
 }
 
 /**
- * Extract PR number from commit message
+ * Resolve the repository, ref and path links for a file would use, without prompting or contacting remotes.
+ * Submodule and path mapping rules apply like they do for the commands.
  * @param {string} gitRoot - The git repository root
- * @param {string} commitHash - The commit hash
- * @returns {Promise<string|null>} - The PR number or null if not found
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {string} relativePath - The file's path from the git root
+ * @param {string|null} revision - Optional revision the file is open at, see getDocumentLocation
+ * @returns {Promise<Object|null>} - Object with repositoryInfo, gitRefInfo, relativePath and mapped (see applyPathMapping),
+ *   or null if there is no supported remote
  */
-async function getPRNumberFromCommit(gitRoot, commitHash) {
-    try {
-        const { stdout } = await execAsync(`git log -1 --format=%B ${commitHash}`, { cwd: gitRoot });
-        const commitMessage = stdout;
+async function getLinkStatus(gitRoot, config, relativePath = '', revision = null) {
+    const resolved = await resolveRepositoryAndRef(gitRoot, config, config.get('useCommitHash', false), {
+        interactive: false,
+        refOptions: { mode: 'local' },
+        revision
+    });
+    if (!resolved) {
+        return null;
+    }
 
-        // Try various patterns to find PR number
-        // Pattern 1: Merge pull request #123
-        let match = commitMessage.match(/Merge pull request #(\d+)/i);
-        if (match) {
-            return match[1];
-        }
+    return applyPathMapping(relativePath, resolved.repositoryInfo, resolved.gitRefInfo, getPathMappings(config), getHostOptions(config));
+}
 
-        // Pattern 2: fixes #123, closes #123, resolves #123, etc.
-        match = commitMessage.match(/(?:fixes?|closes?|resolves?|refs?)[\s:]*#(\d+)/i);
-        if (match) {
-            return match[1];
-        }
+/**
+ * Get the key a file's link status is cached under: files of a repository share a status
+ * unless they are open at another revision or another path mapping rule matches them.
+ * @param {string} gitRoot - The git repository root
+ * @param {vscode.WorkspaceConfiguration} config - The workspace configuration
+ * @param {string} relativePath - The file's path from the git root
+ * @param {string|null} revision - Optional revision the file is open at
+ * @returns {string} - The cache key, starting with the git root and a NUL character
+ */
+function getLinkStatusKey(gitRoot, config, relativePath, revision = null) {
+    const match = findPathMapping(getPathMappings(config), relativePath);
+    const mappingKey = match ? [match.mapping.localPath, ...match.captures].join('\0') : '';
+    return [gitRoot, revision || '', mappingKey].join('\0');
+}
 
-        // Pattern 3: Just #123 (standalone PR reference)
-        match = commitMessage.match(/#(\d+)/);
-        if (match) {
-            return match[1];
-        }
+/**
+ * Format the status bar text and tooltip for a link status.
+ * @param {Object} status - The status from getLinkStatus
+ * @returns {Object} - Object with text, tooltip and warning (true when the branch is not pushed)
+ */
+function formatLinkStatus(status) {
+    const { repositoryInfo, gitRefInfo } = status;
+    const repositoryName = new URL(repositoryInfo.url).pathname.replace(/^\/+|\/+$/g, '');
+    const ref = gitRefInfo.type === 'commit' ? gitRefInfo.ref.substring(0, 8) : gitRefInfo.ref;
+    const warning = gitRefInfo.fellBackToMain;
+    const reason = describeRefReason(gitRefInfo);
+    const provider = getHostingProvider(repositoryInfo.provider);
+    const tooltip = [
+        `Links open ${repositoryInfo.url} at ${ref}` +
+            (repositoryInfo.remoteName ? ` (remote ${repositoryInfo.remoteName})` : ''),
+        ...(status.mapped ? [`openInGithub.pathMappings maps this file to ${status.relativePath || 'the repository root'}`] : []),
+        ...(reason ? [`${reason[0].toUpperCase()}${reason.substring(1)}`] : []),
+        ...(warning ? [`Push ${gitRefInfo.localBranch} to link to your changes on ${provider.name}`] : []),
+        'Click for open and copy actions'
+    ].join('\n');
 
-        return null;
-    } catch (error) {
-        return null;
-    }
+    return {
+        text: `${warning ? '$(warning)' : '$(github)'} ${repositoryName} · ${ref}`,
+        tooltip,
+        warning
+    };
 }
 
 /**
- * Extract organization and repository name from repository URL
- * @param {string} repositoryUrl - The repository URL
- * @returns {Object|null} - Object with org and repo properties, or null if invalid
+ * Commands listed by the status bar menu, see showLinkActions
  */
-function extractOrgAndRepo(repositoryUrl) {
-    try {
-        // Handle different URL formats
-        // https://github.com/org/repo
-        // https://github.com/org/repo.git
-        // git@github.com:org/repo.git
-        let match = repositoryUrl.match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
-        if (match) {
-            return {
-                org: match[1],
-                repo: match[2]
-            };
+const LINK_ACTIONS = [
+    { group: 'Open', label: 'Open File', command: 'openInGithub.openFile' },
+    { group: 'Open', label: 'Open File at Line', command: 'openInGithub.openFileAtLine' },
+    { group: 'Open', label: 'Open Blame', command: 'openInGithub.openBlame' },
+    { group: 'Open', label: 'Open File History', command: 'openInGithub.openFileHistory' },
+    { group: 'Open', label: 'Open Commit for Last Changed Line', command: 'openInGithub.openCommitForLine' },
+    { group: 'Open', label: 'Open PR for Last Changed Line', command: 'openInGithub.openPRForLine' },
+    { group: 'Open', label: 'Open PR for Line, Stepping Back Through History', command: 'openInGithub.openPRForLineStepBack' },
+    { group: 'Open', label: 'Open PR for Current Branch', command: 'openInGithub.openPRForBranch' },
+    { group: 'Open', label: 'Open Repository', command: 'openInGithub.openRepository' },
+    { group: 'Open', label: 'Open File with Link Template...', command: 'openInGithub.openLinkTemplate' },
+    { group: 'Copy', label: 'Copy File Link', command: 'openInGithub.copyFileLink' },
+    { group: 'Copy', label: 'Copy File Link at Line', command: 'openInGithub.copyFileAtLineLink' },
+    { group: 'Copy', label: 'Copy as Markdown', command: 'openInGithub.copyMarkdownLink' },
+    { group: 'Copy', label: 'Copy Snippet', command: 'openInGithub.copySnippet' },
+    { group: 'Copy', label: 'Copy PR Link for Last Changed Line', command: 'openInGithub.copyPRForLineLink' },
+    { group: 'Copy', label: 'Copy Repository Link', command: 'openInGithub.copyRepositoryLink' },
+    { group: 'Copy', label: 'Copy Link from Template...', command: 'openInGithub.copyLinkTemplate' }
+];
+
+/**
+ * Show a menu of every open and copy action and run the chosen one.
+ */
+async function showLinkActions() {
+    const items = [];
+    for (const action of LINK_ACTIONS) {
+        if (items.length === 0 || items[items.length - 1].group !== action.group) {
+            items.push({ label: action.group, kind: vscode.QuickPickItemKind.Separator, group: action.group });
         }
-        return null;
-    } catch (error) {
-        return null;
+        items.push(action);
+    }
+
+    const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Open in GitHub' });
+    if (choice) {
+        await vscode.commands.executeCommand(choice.command);
     }
 }
 
 /**
- * Open the PR for the last changed line in GitHub
+ * Show the repository and ref links from the active editor would use in the status bar,
+ * when openInGithub.statusBar is enabled. Statuses are cached per repository and path mapping rule,
+ * and refreshed when the repository's HEAD, refs or config change, so typing never runs git.
+ * @param {vscode.ExtensionContext} context - The extension context
  */
-async function openPRForLastChangedLine() {
-    try {
-        const editor = vscode.window.activeTextEditor;
-        if (!editor) {
-            showError('No active editor found');
+function registerStatusBar(context) {
+    const item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 0);
+    item.name = 'Open in GitHub';
+    item.command = 'openInGithub.showLinkActions';
+    const statuses = new Map();
+    const gitRoots = new Map();
+    const watchers = new Map();
+    let timer = null;
+    let updateId = 0;
+
+    // Branch checkouts move HEAD; pushes, fetches and remote changes touch refs and config
+    const watchRepository = async (gitRoot) => {
+        if (watchers.has(gitRoot)) {
             return;
         }
+        watchers.set(gitRoot, []);
 
-        const filePath = editor.document.uri.fsPath;
-        const config = vscode.workspace.getConfiguration('openInGithub');
-
-        // Get git repository root
-        const gitRoot = await getGitRoot(filePath);
-        if (!gitRoot) {
-            showError('File is not in a git repository');
-            return;
+        try {
+            const { stdout } = await runGit(gitRoot, ['rev-parse', '--git-dir', '--git-common-dir']);
+            const [gitDir, commonDir] = stdout.trim().split('\n').map(dir => path.resolve(gitRoot, dir));
+            const patterns = [
+                new vscode.RelativePattern(vscode.Uri.file(gitDir), 'HEAD'),
+                new vscode.RelativePattern(vscode.Uri.file(commonDir), '{config,packed-refs,refs/heads/**,refs/remotes/**}')
+            ];
+            for (const pattern of patterns) {
+                const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+                const invalidate = () => {
+                    for (const key of statuses.keys()) {
+                        if (key.startsWith(`${gitRoot}\0`)) {
+                            statuses.delete(key);
+                        }
+                    }
+                    scheduleUpdate();
+                };
+                watcher.onDidChange(invalidate);
+                watcher.onDidCreate(invalidate);
+                watcher.onDidDelete(invalidate);
+                watchers.get(gitRoot).push(watcher);
+            }
+        } catch (error) {
+            // Without watchers the status is refreshed on configuration changes only
         }
+    };
 
-        // Get GitHub repository URL with strict priority order
-        const repositoryUrl = await getGitHubRepositoryUrl(gitRoot, config);
-        if (!repositoryUrl) {
-            showError('Could not determine GitHub repository URL. Please configure openInGithub.repositoryUrl or ensure a GitHub remote exists.');
+    const update = async () => {
+        const id = ++updateId;
+        const config = vscode.workspace.getConfiguration('openInGithub');
+        const editor = vscode.window.activeTextEditor;
+        const location = editor ? getDocumentLocation(editor.document) : null;
+        if (!config.get('statusBar', true) || !location) {
+            item.hide();
             return;
         }
 
-        // Get current line number (1-based for git blame)
-        const lineNumber = editor.selection.active.line + 1;
-
-        // Get commit hash from git blame
-        const commitHash = await getCommitHashFromBlame(gitRoot, filePath, lineNumber);
-        if (!commitHash) {
-            showError('Could not determine commit for this line');
+        const directory = path.dirname(location.filePath);
+        if (!gitRoots.has(directory)) {
+            gitRoots.set(directory, await getGitRoot(location.filePath));
+        }
+        const gitRoot = gitRoots.get(directory);
+        if (!gitRoot) {
+            item.hide();
             return;
         }
 
-        // Get PR number from commit message
-        const prNumber = await getPRNumberFromCommit(gitRoot, commitHash);
-        if (!prNumber) {
-            showError('Could not find PR number in commit message');
+        await watchRepository(gitRoot);
+        const relativePath = getRelativePath(location.filePath, gitRoot);
+        const key = getLinkStatusKey(gitRoot, config, relativePath, location.revision);
+        if (!statuses.has(key)) {
+            statuses.set(key, getLinkStatus(gitRoot, config, relativePath, location.revision).catch(() => null));
+        }
+        const status = await statuses.get(key);
+        // A newer editor switch or repository change has already started its own update
+        if (id !== updateId) {
             return;
         }
 
-        // Extract org and repo from repository URL
-        const orgRepo = extractOrgAndRepo(repositoryUrl);
-        if (!orgRepo) {
-            showError('Invalid repository URL format');
+        if (!status) {
+            item.hide();
             return;
         }
 
-        // Construct and open PR URL
-        const prUrl = `https://github.com/${orgRepo.org}/${orgRepo.repo}/pull/${prNumber}`;
-        await openInBrowser(prUrl);
+        const { text, tooltip, warning } = formatLinkStatus(status);
+        item.text = text;
+        item.tooltip = tooltip;
+        item.backgroundColor = warning ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+        item.show();
+    };
 
-        vscode.window.showInformationMessage(`Opened PR #${prNumber} in GitHub`);
-    } catch (error) {
-        showError(error.message);
-    }
+    const scheduleUpdate = () => {
+        clearTimeout(timer);
+        timer = setTimeout(update, 200);
+    };
+
+    context.subscriptions.push(
+        item,
+        vscode.commands.registerCommand('openInGithub.showLinkActions', showLinkActions),
+        vscode.window.onDidChangeActiveTextEditor(scheduleUpdate),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('openInGithub')) {
+                statuses.clear();
+                scheduleUpdate();
+            }
+        }),
+        {
+            dispose: () => {
+                clearTimeout(timer);
+                for (const repositoryWatchers of watchers.values()) {
+                    repositoryWatchers.forEach(watcher => watcher.dispose());
+                }
+            }
+        }
+    );
+    scheduleUpdate();
 }
 
 /**
@@ -612,29 +5232,148 @@ async function openPRForLastChangedLine() {
  */
 function activate(context) {
     console.log('Open in GitHub extension is now active!');
+    extensionContext = context;
 
     // Register commands
-    const openFileCommand = vscode.commands.registerCommand('openInGithub.openFile', () => {
-        openFileInGitHub(false);
+    const openFileCommand = vscode.commands.registerCommand('openInGithub.openFile', (uri, uris) => {
+        openFileInGitHub(false, 'open', 'file', getCommandUris(uri, uris));
+    });
+
+    const openFileAtLineCommand = vscode.commands.registerCommand('openInGithub.openFileAtLine', (uri, uris) => {
+        openFileInGitHub(true, 'open', 'file', getCommandUris(uri, uris));
+    });
+
+    const openCommitForLineCommand = vscode.commands.registerCommand('openInGithub.openCommitForLine', () => {
+        openCommitForLine();
+    });
+
+    const openBlameCommand = vscode.commands.registerCommand('openInGithub.openBlame', (uri, uris) => {
+        openFileInGitHub(true, 'open', 'blame', getCommandUris(uri, uris));
     });
 
-    const openFileAtLineCommand = vscode.commands.registerCommand('openInGithub.openFileAtLine', () => {
-        openFileInGitHub(true);
+    const openFileHistoryCommand = vscode.commands.registerCommand('openInGithub.openFileHistory', (uri, uris) => {
+        openFileInGitHub(false, 'open', 'history', getCommandUris(uri, uris));
     });
 
-    const openRepositoryCommand = vscode.commands.registerCommand('openInGithub.openRepository', () => {
-        openRepositoryInGitHub();
+    const openRepositoryCommand = vscode.commands.registerCommand('openInGithub.openRepository', (uri, uris) => {
+        openRepositoryInGitHub('open', getCommandUris(uri, uris));
     });
 
     const openPRForLineCommand = vscode.commands.registerCommand('openInGithub.openPRForLine', () => {
         openPRForLastChangedLine();
     });
 
+    const openPRForLineStepBackCommand = vscode.commands.registerCommand('openInGithub.openPRForLineStepBack', () => {
+        openPRForLastChangedLine('open', true);
+    });
+
+    const openPRForBranchCommand = vscode.commands.registerCommand('openInGithub.openPRForBranch', () => {
+        openPRForCurrentBranch();
+    });
+
+    // Keybindings can pass a template name, e.g. "args": "Sourcegraph"
+    const openLinkTemplateCommand = vscode.commands.registerCommand('openInGithub.openLinkTemplate', (arg, uris) => {
+        openFileWithLinkTemplate('open', typeof arg === 'string' ? arg : null, getCommandUris(arg, uris));
+    });
+
+    const copyLinkTemplateCommand = vscode.commands.registerCommand('openInGithub.copyLinkTemplate', (arg, uris) => {
+        openFileWithLinkTemplate('copy', typeof arg === 'string' ? arg : null, getCommandUris(arg, uris));
+    });
+
+    const resetRemoteChoicesCommand = vscode.commands.registerCommand('openInGithub.resetRemoteChoices', () => {
+        resetRememberedRemotes();
+    });
+
+    const openLinkInEditorCommand = vscode.commands.registerCommand('openInGithub.openLinkInEditor', () => {
+        promptForLinkToOpen();
+    });
+
+    const explainLinkResolutionCommand = vscode.commands.registerCommand('openInGithub.explainLinkResolution', () => {
+        showLinkResolution();
+    });
+
+    // vscode://<publisher>.open-in-github/open?url=<encoded link>
+    const uriHandler = vscode.window.registerUriHandler({
+        handleUri(uri) {
+            const url = new URLSearchParams(uri.query).get('url');
+            if (uri.path === '/open' && url) {
+                openLinkInEditor(url);
+            } else {
+                showError(`Unsupported link: ${uri.toString()}`);
+            }
+        }
+    });
+
+    const copyFileLinkCommand = vscode.commands.registerCommand('openInGithub.copyFileLink', (uri, uris) => {
+        openFileInGitHub(false, 'copy', 'file', getCommandUris(uri, uris));
+    });
+
+    const copyFileAtLineLinkCommand = vscode.commands.registerCommand('openInGithub.copyFileAtLineLink', (uri, uris) => {
+        openFileInGitHub(true, 'copy', 'file', getCommandUris(uri, uris));
+    });
+
+    const copyRepositoryLinkCommand = vscode.commands.registerCommand('openInGithub.copyRepositoryLink', (uri, uris) => {
+        openRepositoryInGitHub('copy', getCommandUris(uri, uris));
+    });
+
+    const copyPRForLineLinkCommand = vscode.commands.registerCommand('openInGithub.copyPRForLineLink', () => {
+        openPRForLastChangedLine('copy');
+    });
+
+    const copyMarkdownLinkCommand = vscode.commands.registerCommand('openInGithub.copyMarkdownLink', (uri, uris) => {
+        openFileInGitHub(true, 'copyMarkdown', 'file', getCommandUris(uri, uris));
+    });
+
+    const copySnippetCommand = vscode.commands.registerCommand('openInGithub.copySnippet', () => {
+        openFileInGitHub(true, 'copySnippet');
+    });
+
     // Add commands to context for disposal
     context.subscriptions.push(openFileCommand);
     context.subscriptions.push(openFileAtLineCommand);
+    context.subscriptions.push(openCommitForLineCommand);
+    context.subscriptions.push(openBlameCommand);
+    context.subscriptions.push(openFileHistoryCommand);
     context.subscriptions.push(openRepositoryCommand);
     context.subscriptions.push(openPRForLineCommand);
+    context.subscriptions.push(openPRForLineStepBackCommand);
+    context.subscriptions.push(openPRForBranchCommand);
+    context.subscriptions.push(openLinkInEditorCommand);
+    context.subscriptions.push(explainLinkResolutionCommand);
+    context.subscriptions.push({
+        dispose: () => {
+            if (outputChannel) {
+                outputChannel.dispose();
+                outputChannel = null;
+            }
+        }
+    });
+    context.subscriptions.push(openLinkTemplateCommand);
+    context.subscriptions.push(copyLinkTemplateCommand);
+    context.subscriptions.push(resetRemoteChoicesCommand);
+    context.subscriptions.push(uriHandler);
+    context.subscriptions.push(copyFileLinkCommand);
+    context.subscriptions.push(copyFileAtLineLinkCommand);
+    context.subscriptions.push(copyRepositoryLinkCommand);
+    context.subscriptions.push(copyPRForLineLinkCommand);
+    context.subscriptions.push(copyMarkdownLinkCommand);
+    context.subscriptions.push(copySnippetCommand);
+
+    // Blame of the hovered line, and optionally of the cursor line
+    context.subscriptions.push(vscode.languages.registerHoverProvider(
+        [{ scheme: 'file' }, { scheme: 'git' }],
+        createBlameHoverProvider()
+    ));
+    context.subscriptions.push(vscode.workspace.onDidCloseTextDocument(document => {
+        documentBlameCache.delete(document.uri.toString());
+    }));
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(event => {
+        if (event.affectsConfiguration('openInGithub')) {
+            blameHoverCache.clear();
+        }
+    }));
+    registerCurrentLineBlame(context);
+    registerStatusBar(context);
 }
 
 /**
@@ -647,11 +5386,101 @@ function deactivate() {
 module.exports = {
     activate,
     deactivate,
+    // Used by the command line, see cli.js
+    openInBrowser,
+    resolveLinkForPath,
+    setCommandLineConfiguration,
     _test: {
+        getGitPath,
+        getAllRepositoryInfos,
         getConfiguredRepositoryUrl,
+        getDocumentLocation,
+        getEnclosingLineRange,
+        getGitHubApiBaseUrl,
+        getGitHubToken,
+        getGitRoot,
+        getGitHubRef,
         getGitHubRepositoryInfo,
         getRemoteNameForRepositoryUrl,
+        getRemotePriority,
+        describeCandidate,
+        explainLinkResolution,
+        extractOrgAndRepo,
+        findPRNumberForCommit,
+        findLocalRepositoryForUrl,
+        findPullRequestFileForAnchor,
+        findRepositoriesWithBranch,
+        fenceCode,
+        formatLinkForClipboard,
+        formatLinkStatus,
+        getLinkStatus,
+        getLinkStatusKey,
+        constructBlameUrl,
+        constructCommitUrl,
+        constructCompareUrl,
+        constructGitHubUrl,
+        constructHistoryUrl,
+        constructPullRequestUrl,
+        clearRemoteBranchCache,
+        constructIssueUrl,
+        constructTreeUrl,
+        describeRefReason,
+        getCandidateUrl,
+        getHostOptions,
+        getPullRequestFilesFromApi,
+        getPullRequestsForBranchFromApi,
+        getPullRequestsForCommitFromApi,
+        getBlameHoverContext,
+        getPRNumberFromCommit,
+        getPushBranch,
+        getRemoteDefaultBranch,
+        getRelativePath,
+        getRemoteLineMapping,
+        getRemoteLineRanges,
+        getRepositoryPath,
+        getSelectedLineRanges,
+        getSubmoduleInfo,
+        getSubmoduleLinkMode,
+        blameFile,
+        blameLine,
+        blamePreviousChange,
+        getBlameArgs,
+        getCommitHashFromBlame,
+        getDocumentBlame,
+        formatBlameAnnotation,
+        formatBlameHover,
+        formatRelativeTime,
+        getCommandUris,
         isGitHubUrl,
-        normalizeGitHubUrl
+        isUncommittedHash,
+        mapLineRange,
+        mapLineThroughHunks,
+        applyPathMapping,
+        findPathMapping,
+        getPathInRepository,
+        getPathMappings,
+        pathGlobToRegExp,
+        pinLinkTarget,
+        encodeUrlPath,
+        expandLinkTemplate,
+        getLinkCommit,
+        getLinkTemplates,
+        normalizeGitHubUrl,
+        normalizeRemoteUrl,
+        parseBlamePorcelain,
+        parseDiffHunks,
+        parseGitUri,
+        parseLineAnchor,
+        parseNextPageLink,
+        parsePullRequestCandidates,
+        remoteBranchExists,
+        resolveRelativeRemoteUrl,
+        resolveResourceLink,
+        resolveRevision,
+        runGit,
+        splitRefAndPath,
+        parseRemoteUrl,
+        parseRepositoryLink,
+        parseSshConfig
     }
 };
@@ -1,21 +1,28 @@
 const assert = require('assert');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
 const os = require('os');
 const { exec, execFile } = require('child_process');
 const { promisify } = require('util');
 const path = require('path');
-const { _test } = require('./extension');
+const { _test, resolveLinkForPath } = require('./extension');
+const cli = require('./cli');
 
 const execAsync = promisify(exec);
 const execFileAsync = promisify(execFile);
 
-function createConfig(repositoryUrl = '', inspection = undefined) {
+function createConfig(repositoryUrl = '', inspection = undefined, values = {}) {
     const config = {
         get(key, defaultValue) {
             if (key === 'repositoryUrl') {
                 return repositoryUrl;
             }
 
+            if (Object.prototype.hasOwnProperty.call(values, key)) {
+                return values[key];
+            }
+
             return defaultValue;
         }
     };
@@ -48,6 +55,56 @@ async function addRemote(gitRoot, name, url) {
     await execFileAsync('git', ['remote', 'add', name, url], { cwd: gitRoot });
 }
 
+async function addBareRemote(gitRoot, name, defaultBranch = 'main') {
+    // Keep the bare repository inside .git so it is cleaned up with the temp repo
+    const remotePath = path.join(gitRoot, '.git', 'test-remotes', `${name}.git`);
+    fs.mkdirSync(remotePath, { recursive: true });
+    await execFileAsync('git', ['init', '--bare', '-q'], { cwd: remotePath });
+    await execFileAsync('git', ['symbolic-ref', 'HEAD', `refs/heads/${defaultBranch}`], { cwd: remotePath });
+    await addRemote(gitRoot, name, remotePath);
+    return remotePath;
+}
+
+async function git(gitRoot, ...args) {
+    const { stdout } = await execFileAsync('git', args, { cwd: gitRoot });
+    return stdout.trim();
+}
+
+async function commitFile(gitRoot, relativePath, content, message = `Update ${relativePath}`) {
+    const filePath = path.join(gitRoot, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    await execFileAsync('git', ['add', relativePath], { cwd: gitRoot });
+    await execFileAsync('git', [
+        '-c', 'user.name=Test',
+        '-c', 'user.email=test@example.com',
+        'commit', '-q', '-m', message
+    ], { cwd: gitRoot });
+    const { stdout } = await execFileAsync('git', ['rev-parse', 'HEAD'], { cwd: gitRoot });
+    return stdout.trim();
+}
+
+async function withMockGitHubApi(routes, testFn) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ url: request.url, authorization: request.headers.authorization });
+        // A route may be a function returning the body and extra headers, e.g. a Link header for pagination
+        const route = routes[request.url];
+        const { body, headers } = typeof route === 'function'
+            ? route(`http://127.0.0.1:${server.address().port}`)
+            : { body: route, headers: {} };
+        response.writeHead(body === undefined ? 404 : 200, { 'Content-Type': 'application/json', ...headers });
+        response.end(JSON.stringify(body === undefined ? { message: 'Not Found' } : body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await testFn(`http://127.0.0.1:${server.address().port}`, requests);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
 async function testGitIntegration() {
     console.log('Testing Git integration...');
 
@@ -91,9 +148,1376 @@ function testGitHubUrlNormalization() {
     );
     assert.strictEqual(_test.normalizeGitHubUrl('https://gitlab.com/owner/repo.git'), null);
 
+    const hostOptions = {
+        hosts: ['github.com', 'github.example.com'],
+        sshHostAliases: _test.parseSshConfig([
+            'Host github-work ghw',
+            '    HostName github.example.com',
+            '    Port 2222',
+            'Host *',
+            '    HostName ignored.example.com'
+        ].join('\n'))
+    };
+    assert.strictEqual(
+        _test.normalizeGitHubUrl('git@github.example.com:elastic/kibana.git', hostOptions),
+        'https://github.example.com/elastic/kibana'
+    );
+    assert.strictEqual(
+        _test.normalizeGitHubUrl('ssh://deploy@github.example.com:2222/elastic/kibana.git', hostOptions),
+        'https://github.example.com/elastic/kibana'
+    );
+    assert.strictEqual(
+        _test.normalizeGitHubUrl('https://github.example.com:8443/elastic/kibana.git', hostOptions),
+        'https://github.example.com:8443/elastic/kibana'
+    );
+    assert.strictEqual(
+        _test.normalizeGitHubUrl('git@ghw:elastic/kibana.git', hostOptions),
+        'https://github.example.com/elastic/kibana'
+    );
+    assert.strictEqual(_test.normalizeGitHubUrl('git@github.example.com:elastic/kibana.git'), null);
+    assert.strictEqual(_test.normalizeGitHubUrl('https://github.com/elastic/kibana/tree/main'), null);
+
+    assert.deepStrictEqual(
+        _test.getHostOptions(createConfig('', undefined, { githubHosts: ['https://GitHub.Example.com/'] })).hosts,
+        ['github.com', 'github.example.com']
+    );
+    assert.deepStrictEqual(
+        _test.extractOrgAndRepo('https://github.example.com/elastic/kibana'),
+        { org: 'elastic', repo: 'kibana' }
+    );
+
     console.log('✓ GitHub URL normalization test passed!');
 }
 
+function testHostingProviders() {
+    console.log('\nTesting hosting providers...');
+
+    assert.deepStrictEqual(
+        _test.normalizeRemoteUrl('git@gitlab.com:group/subgroup/project.git'),
+        { provider: 'gitlab', url: 'https://gitlab.com/group/subgroup/project' }
+    );
+    assert.deepStrictEqual(
+        _test.normalizeRemoteUrl('https://someone@bitbucket.org/team/project.git'),
+        { provider: 'bitbucket', url: 'https://bitbucket.org/team/project' }
+    );
+    assert.deepStrictEqual(
+        _test.normalizeRemoteUrl('git@codeberg.org:owner/project.git'),
+        { provider: 'gitea', url: 'https://codeberg.org/owner/project' }
+    );
+    assert.deepStrictEqual(
+        _test.normalizeRemoteUrl('git@ssh.dev.azure.com:v3/org/project/repo'),
+        { provider: 'azure', url: 'https://dev.azure.com/org/project/_git/repo' }
+    );
+    assert.deepStrictEqual(
+        _test.normalizeRemoteUrl('https://org@dev.azure.com/org/project/_git/repo'),
+        { provider: 'azure', url: 'https://dev.azure.com/org/project/_git/repo' }
+    );
+    assert.strictEqual(_test.normalizeRemoteUrl('https://example.com/owner/repo.git'), null);
+
+    const hostOptions = _test.getHostOptions(createConfig('', undefined, {
+        providerHosts: { 'git.example.com': 'gitlab', 'bad.example.com': 'unknown' }
+    }));
+    assert.deepStrictEqual(
+        _test.normalizeRemoteUrl('git@git.example.com:team/project.git', hostOptions),
+        { provider: 'gitlab', url: 'https://git.example.com/team/project' }
+    );
+    assert.strictEqual(_test.normalizeRemoteUrl('git@bad.example.com:team/project.git', hostOptions), null);
+
+    const branch = { ref: 'main', type: 'branch' };
+    const commit = { ref: 'abc123', type: 'commit' };
+    const lines = { start: 10, end: 20 };
+    const expectations = [
+        {
+            repositoryInfo: { provider: 'github', url: 'https://github.com/owner/repo' },
+            file: 'https://github.com/owner/repo/blob/main/src/a.js#L10-L20',
+            blame: 'https://github.com/owner/repo/blame/main/src/a.js#L10-L20',
+            history: 'https://github.com/owner/repo/commits/main/src/a.js',
+            tree: 'https://github.com/owner/repo/tree/main',
+            commit: 'https://github.com/owner/repo/commit/abc123',
+            pullRequest: 'https://github.com/owner/repo/pull/7'
+        },
+        {
+            repositoryInfo: { provider: 'gitlab', url: 'https://gitlab.com/group/project' },
+            file: 'https://gitlab.com/group/project/-/blob/main/src/a.js#L10-20',
+            blame: 'https://gitlab.com/group/project/-/blame/main/src/a.js#L10-20',
+            history: 'https://gitlab.com/group/project/-/commits/main/src/a.js',
+            tree: 'https://gitlab.com/group/project/-/tree/main',
+            commit: 'https://gitlab.com/group/project/-/commit/abc123',
+            pullRequest: 'https://gitlab.com/group/project/-/merge_requests/7'
+        },
+        {
+            repositoryInfo: { provider: 'bitbucket', url: 'https://bitbucket.org/team/project' },
+            file: 'https://bitbucket.org/team/project/src/main/src/a.js#lines-10:20',
+            blame: 'https://bitbucket.org/team/project/annotate/main/src/a.js#lines-10:20',
+            history: 'https://bitbucket.org/team/project/history-node/main/src/a.js',
+            tree: 'https://bitbucket.org/team/project/src/main',
+            commit: 'https://bitbucket.org/team/project/commits/abc123',
+            pullRequest: 'https://bitbucket.org/team/project/pull-requests/7'
+        },
+        {
+            repositoryInfo: { provider: 'gitea', url: 'https://codeberg.org/owner/project' },
+            file: 'https://codeberg.org/owner/project/src/branch/main/src/a.js#L10-L20',
+            blame: 'https://codeberg.org/owner/project/blame/branch/main/src/a.js#L10-L20',
+            history: 'https://codeberg.org/owner/project/commits/branch/main/src/a.js',
+            tree: 'https://codeberg.org/owner/project/src/branch/main',
+            commit: 'https://codeberg.org/owner/project/commit/abc123',
+            pullRequest: 'https://codeberg.org/owner/project/pulls/7'
+        },
+        {
+            repositoryInfo: { provider: 'azure', url: 'https://dev.azure.com/org/project/_git/repo' },
+            file: 'https://dev.azure.com/org/project/_git/repo?path=%2Fsrc%2Fa.js&version=GBmain' +
+                '&line=10&lineEnd=21&lineStartColumn=1&lineEndColumn=1&lineStyle=plain&_a=contents',
+            blame: null,
+            history: 'https://dev.azure.com/org/project/_git/repo?path=%2Fsrc%2Fa.js&version=GBmain&_a=history',
+            tree: 'https://dev.azure.com/org/project/_git/repo?version=GBmain',
+            commit: 'https://dev.azure.com/org/project/_git/repo/commit/abc123',
+            pullRequest: 'https://dev.azure.com/org/project/_git/repo/pullrequest/7'
+        }
+    ];
+
+    for (const expected of expectations) {
+        assert.strictEqual(_test.constructGitHubUrl(expected.repositoryInfo, branch, 'src/a.js', lines), expected.file);
+        assert.strictEqual(_test.constructBlameUrl(expected.repositoryInfo, branch, 'src/a.js', lines), expected.blame);
+        assert.strictEqual(_test.constructHistoryUrl(expected.repositoryInfo, branch, 'src/a.js'), expected.history);
+        assert.strictEqual(_test.constructTreeUrl(expected.repositoryInfo, branch), expected.tree);
+        assert.strictEqual(_test.constructCommitUrl(expected.repositoryInfo, 'abc123'), expected.commit);
+        assert.strictEqual(_test.constructPullRequestUrl(expected.repositoryInfo, 7), expected.pullRequest);
+    }
+
+    assert.strictEqual(
+        _test.constructGitHubUrl({ provider: 'gitea', url: 'https://gitea.com/o/r' }, commit, 'a.js', { start: 3, end: 3 }),
+        'https://gitea.com/o/r/src/commit/abc123/a.js#L3'
+    );
+
+    console.log('✓ Hosting providers test passed!');
+}
+
+async function testCommandResources() {
+    console.log('\nTesting command resources...');
+
+    const fileUri = (fsPath) => ({ scheme: 'file', fsPath, toString: () => `file://${fsPath}` });
+    const clicked = fileUri('/repo/a.js');
+    const selected = [fileUri('/repo/a.js'), fileUri('/repo/src'), { scheme: 'untitled', fsPath: 'Untitled-1' }];
+
+    assert.deepStrictEqual(_test.getCommandUris(clicked, selected), [selected[0], selected[1]]);
+    assert.deepStrictEqual(_test.getCommandUris(clicked, undefined), [clicked]);
+    assert.deepStrictEqual(_test.getCommandUris(clicked, []), [clicked]);
+    assert.deepStrictEqual(_test.getCommandUris(undefined, undefined), []);
+    assert.deepStrictEqual(_test.getCommandUris({ scheme: 'untitled', fsPath: 'Untitled-1' }), []);
+
+    await withTempGitRepo(async (gitRoot) => {
+        const realRoot = await git(gitRoot, 'rev-parse', '--show-toplevel');
+        fs.mkdirSync(path.join(gitRoot, 'src', 'nested'), { recursive: true });
+        assert.strictEqual(await _test.getGitRoot(path.join(gitRoot, 'src', 'nested')), realRoot);
+        assert.strictEqual(await _test.getGitRoot(gitRoot), realRoot);
+        assert.strictEqual(await _test.getGitRoot(path.join(gitRoot, 'src', 'a.js')), realRoot);
+
+        // Deleted files from the source control view and old revisions from git: resources
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'upstream', 'git@github.com:elastic/kibana.git');
+        const first = await commitFile(gitRoot, 'src/a.js', 'one\n');
+        await commitFile(gitRoot, 'gone/b.js', 'b\n');
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/main', 'HEAD');
+        fs.rmSync(path.join(gitRoot, 'gone'), { recursive: true });
+        const config = createConfig('', undefined, { remoteBranchCheck: 'local' });
+        const resolveLink = async (uri) => (await _test.resolveResourceLink(uri, config, { view: 'file', interactive: false })).url;
+        assert.strictEqual(await _test.getGitRoot(path.join(gitRoot, 'gone', 'b.js')), realRoot);
+        assert.strictEqual(
+            await resolveLink(fileUri(path.join(gitRoot, 'gone', 'b.js'))),
+            'https://github.com/elastic/kibana/blob/main/gone/b.js'
+        );
+        const aPath = path.join(gitRoot, 'src', 'a.js');
+        assert.strictEqual(
+            await resolveLink({ scheme: 'git', fsPath: aPath, query: JSON.stringify({ path: aPath, ref: 'HEAD~1' }) }),
+            `https://github.com/elastic/kibana/blob/${first}/src/a.js`
+        );
+    });
+
+    console.log('✓ Command resources test passed!');
+}
+
+async function testDocumentLocations() {
+    console.log('\nTesting symlinks and git: documents...');
+
+    const gitUri = (query) => ({ scheme: 'git', fsPath: '/repo/src/a.js', query: JSON.stringify(query) });
+    assert.deepStrictEqual(
+        _test.parseGitUri(gitUri({ path: '/repo/src/a.js', ref: 'HEAD~1' })),
+        { filePath: '/repo/src/a.js', revision: 'HEAD~1' }
+    );
+    assert.deepStrictEqual(
+        _test.parseGitUri(gitUri({ path: '/repo/src/a.js', ref: '~' })),
+        { filePath: '/repo/src/a.js', revision: null }
+    );
+    assert.deepStrictEqual(
+        _test.parseGitUri({ scheme: 'git', fsPath: '/repo/src/a.js', query: 'not json' }),
+        { filePath: '/repo/src/a.js', revision: null }
+    );
+    assert.strictEqual(_test.parseGitUri({ scheme: 'file', fsPath: '/repo/src/a.js' }), null);
+    assert.deepStrictEqual(
+        _test.getDocumentLocation({ uri: { scheme: 'file', fsPath: '/repo/src/a.js' } }),
+        { filePath: '/repo/src/a.js', revision: null }
+    );
+    assert.strictEqual(_test.getDocumentLocation({ uri: { scheme: 'untitled', fsPath: 'Untitled-1' } }), null);
+
+    await withTempGitRepo(async (gitRoot) => {
+        const firstCommit = await commitFile(gitRoot, 'src/a.js', 'one\n');
+        await commitFile(gitRoot, 'src/a.js', 'two\n');
+        assert.strictEqual(await _test.resolveRevision(gitRoot, 'HEAD~1'), firstCommit);
+        assert.strictEqual(await _test.resolveRevision(gitRoot, 'no-such-ref'), null);
+
+        // The repository opened through a symlinked directory still maps into the repository
+        const linkParent = fs.mkdtempSync(path.join(os.tmpdir(), 'open-in-github-link-'));
+        try {
+            const linkedRoot = path.join(linkParent, 'linked');
+            fs.symlinkSync(gitRoot, linkedRoot, 'dir');
+            const linkedFile = path.join(linkedRoot, 'src', 'a.js');
+            const realRoot = await _test.getGitRoot(linkedFile);
+            assert.strictEqual(realRoot, await git(gitRoot, 'rev-parse', '--show-toplevel'));
+            assert.strictEqual(_test.getRelativePath(linkedFile, realRoot), 'src/a.js');
+            assert.strictEqual(_test.getRelativePath(path.join(gitRoot, 'src', 'a.js'), linkedRoot), 'src/a.js');
+
+            // A symlinked file outside the repository resolves to the file it points to
+            const outsideLink = path.join(linkParent, 'a-link.js');
+            fs.symlinkSync(path.join(gitRoot, 'src', 'a.js'), outsideLink);
+            assert.strictEqual(await _test.getGitRoot(outsideLink), realRoot);
+            assert.strictEqual(_test.getRelativePath(outsideLink, realRoot), 'src/a.js');
+        } finally {
+            fs.rmSync(linkParent, { recursive: true, force: true });
+        }
+    });
+
+    console.log('✓ Symlinks and git: documents test passed!');
+}
+
+function createSelection(startLine, startCharacter, endLine, endCharacter) {
+    return {
+        start: { line: startLine, character: startCharacter },
+        end: { line: endLine, character: endCharacter }
+    };
+}
+
+function testLineRanges() {
+    console.log('\nTesting selection line ranges...');
+
+    // Cursor only, full lines, and a selection ending at the start of the next line
+    assert.deepStrictEqual(
+        _test.getSelectedLineRanges([createSelection(4, 2, 4, 2)]),
+        [{ start: 5, end: 5 }]
+    );
+    assert.deepStrictEqual(
+        _test.getSelectedLineRanges([createSelection(9, 0, 24, 0)]),
+        [{ start: 10, end: 24 }]
+    );
+
+    // Columns are only added for non-empty selections when requested
+    assert.deepStrictEqual(
+        _test.getSelectedLineRanges([createSelection(9, 4, 11, 8)], true),
+        [{ start: 10, end: 12, startColumn: 5, endColumn: 8 }]
+    );
+    assert.deepStrictEqual(
+        _test.getSelectedLineRanges([createSelection(9, 4, 9, 4)], true),
+        [{ start: 10, end: 10 }]
+    );
+
+    // Multiple cursors are de-duplicated and sorted
+    const ranges = _test.getSelectedLineRanges([
+        createSelection(30, 0, 31, 5),
+        createSelection(2, 1, 2, 1),
+        createSelection(2, 3, 2, 3)
+    ]);
+    assert.deepStrictEqual(ranges, [{ start: 3, end: 3 }, { start: 31, end: 32 }]);
+    assert.deepStrictEqual(_test.getEnclosingLineRange(ranges), { start: 3, end: 32 });
+
+    const repositoryInfo = { provider: 'github', url: 'https://github.com/owner/repo' };
+    const gitRefInfo = { ref: 'main', type: 'branch' };
+    assert.strictEqual(
+        _test.constructGitHubUrl(repositoryInfo, gitRefInfo, 'a.js', { start: 10, end: 12, startColumn: 5, endColumn: 8 }),
+        'https://github.com/owner/repo/blob/main/a.js#L10C5-L12C8'
+    );
+    assert.strictEqual(
+        _test.constructGitHubUrl(
+            { provider: 'azure', url: 'https://dev.azure.com/org/project/_git/repo' },
+            gitRefInfo,
+            'a.js',
+            { start: 10, end: 12, startColumn: 5, endColumn: 8 }
+        ),
+        'https://dev.azure.com/org/project/_git/repo?path=%2Fa.js&version=GBmain' +
+            '&line=10&lineEnd=12&lineStartColumn=5&lineEndColumn=9&lineStyle=plain&_a=contents'
+    );
+
+    console.log('✓ Selection line ranges test passed!');
+}
+
+function testClipboardFormats() {
+    console.log('\nTesting clipboard formats...');
+
+    const link = {
+        url: 'https://github.com/owner/repo/blob/abc123/src/a.js#L10-L11',
+        label: 'src/a.js#L10-L11',
+        text: 'const a = 1;\nconst b = 2;\n',
+        languageId: 'javascript'
+    };
+
+    assert.strictEqual(_test.formatLinkForClipboard(link, 'copy'), link.url);
+    assert.strictEqual(
+        _test.formatLinkForClipboard(link, 'copyMarkdown'),
+        '[src/a.js#L10-L11](https://github.com/owner/repo/blob/abc123/src/a.js#L10-L11)'
+    );
+    assert.strictEqual(
+        _test.formatLinkForClipboard(link, 'copySnippet'),
+        '```javascript\nconst a = 1;\nconst b = 2;\n```\nhttps://github.com/owner/repo/blob/abc123/src/a.js#L10-L11'
+    );
+    assert.strictEqual(
+        _test.formatLinkForClipboard({ url: 'u', label: 'docs/[draft].md' }, 'copyMarkdown'),
+        '[docs/\\[draft\\].md](u)'
+    );
+
+    // Fences grow past any backtick run inside the snippet
+    assert.strictEqual(_test.fenceCode('a ``` b', 'md'), '````md\na ``` b\n````');
+
+    console.log('✓ Clipboard formats test passed!');
+}
+
+async function testRemoteLineMapping() {
+    console.log('\nTesting remote line mapping...');
+
+    // Remote lines 5-6 removed after local line 4, then local lines 9-10 added after remote line 10
+    const hunks = _test.parseDiffHunks([
+        'diff --git a/remote b/local',
+        '@@ -5,2 +4,0 @@',
+        '@@ -10,0 +9,2 @@ function foo() {',
+        '@@ -15 +15 @@'
+    ].join('\n'));
+    assert.deepStrictEqual(hunks, [
+        { oldStart: 5, oldCount: 2, newStart: 4, newCount: 0 },
+        { oldStart: 10, oldCount: 0, newStart: 9, newCount: 2 },
+        { oldStart: 15, oldCount: 1, newStart: 15, newCount: 1 }
+    ]);
+    assert.deepStrictEqual(_test.mapLineThroughHunks(hunks, 4), { line: 4, changed: false });
+    assert.deepStrictEqual(_test.mapLineThroughHunks(hunks, 5), { line: 7, changed: false });
+    assert.strictEqual(_test.mapLineThroughHunks(hunks, 9), null);
+    assert.deepStrictEqual(_test.mapLineThroughHunks(hunks, 11), { line: 11, changed: false });
+    assert.deepStrictEqual(_test.mapLineThroughHunks(hunks, 15), { line: 15, changed: true });
+    assert.deepStrictEqual(_test.mapLineRange(hunks, { start: 8, end: 11 }), { start: 10, end: 11 });
+    assert.strictEqual(_test.mapLineRange(hunks, { start: 9, end: 10 }), null);
+    assert.deepStrictEqual(
+        _test.mapLineRange(hunks, { start: 5, end: 6, startColumn: 2, endColumn: 4 }),
+        { start: 7, end: 8, startColumn: 2, endColumn: 4 }
+    );
+
+    await withTempGitRepo(async (gitRoot) => {
+        await commitFile(gitRoot, 'src/a.js', 'one\ntwo\nthree\nfour\n');
+        await execFileAsync('git', ['update-ref', 'refs/remotes/origin/feature', 'HEAD'], { cwd: gitRoot });
+        await commitFile(gitRoot, 'src/a.js', 'zero\none\ntwo\nthree\nfour\n');
+
+        const gitRefInfo = { ref: 'feature', type: 'branch', remoteName: 'origin' };
+        const localText = 'zero\none\ntwo\nnew\nthree\nfour\n';
+        const lineMapping = await _test.getRemoteLineMapping(gitRoot, 'src/a.js', gitRefInfo, localText);
+
+        assert.strictEqual(lineMapping.ref, 'refs/remotes/origin/feature');
+        assert.strictEqual(lineMapping.exists, true);
+        assert.deepStrictEqual(_test.mapLineRange(lineMapping.hunks, { start: 5, end: 5 }), { start: 3, end: 3 });
+        assert.strictEqual(_test.mapLineRange(lineMapping.hunks, { start: 4, end: 4 }), null);
+
+        const missingFile = await _test.getRemoteLineMapping(gitRoot, 'src/b.js', gitRefInfo, 'b\n');
+        assert.strictEqual(missingFile.exists, false);
+
+        const unknownRef = await _test.getRemoteLineMapping(
+            gitRoot,
+            'src/a.js',
+            { ref: 'missing', type: 'branch', remoteName: 'origin' },
+            localText
+        );
+        assert.strictEqual(unknownRef, null);
+    });
+
+    console.log('✓ Remote line mapping test passed!');
+}
+
+async function testRefResolution() {
+    console.log('\nTesting ref resolution...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/develop');
+        await addBareRemote(gitRoot, 'origin', 'develop');
+        const baseCommit = await commitFile(gitRoot, 'a.txt', 'a\n');
+        await git(gitRoot, 'push', '-q', 'origin', 'develop');
+
+        // Default branch comes from ls-remote --symref until refs/remotes/origin/HEAD exists
+        assert.strictEqual(await _test.getRemoteDefaultBranch(gitRoot, 'origin'), 'develop');
+        await git(gitRoot, 'fetch', '-q', 'origin');
+        await git(gitRoot, 'remote', 'set-head', 'origin', 'develop');
+        assert.strictEqual(await _test.getRemoteDefaultBranch(gitRoot, 'origin'), 'develop');
+
+        // Unpushed branch falls back to the remote's default branch, or its merge-base
+        await git(gitRoot, 'checkout', '-q', '-b', 'local-only');
+        await commitFile(gitRoot, 'b.txt', 'b\n');
+        let gitRefInfo = await _test.getGitHubRef(gitRoot, false, 'origin');
+        assert.strictEqual(gitRefInfo.ref, 'develop');
+        assert.strictEqual(gitRefInfo.source, 'defaultBranch');
+        assert.strictEqual(gitRefInfo.fellBackToMain, true);
+        assert.strictEqual(
+            _test.describeRefReason(gitRefInfo),
+            'local branch local-only not found on origin; using its default branch'
+        );
+
+        gitRefInfo = await _test.getGitHubRef(gitRoot, false, 'origin', { fallback: 'mergeBase' });
+        assert.strictEqual(gitRefInfo.ref, baseCommit);
+        assert.strictEqual(gitRefInfo.type, 'commit');
+        assert.strictEqual(gitRefInfo.source, 'mergeBase');
+
+        // A branch tracking a differently named upstream branch uses the upstream
+        await git(gitRoot, 'push', '-q', 'origin', 'local-only:renamed-upstream');
+        await git(gitRoot, 'branch', '-q', '--set-upstream-to', 'origin/renamed-upstream');
+        gitRefInfo = await _test.getGitHubRef(gitRoot, false, 'origin');
+        assert.strictEqual(gitRefInfo.ref, 'renamed-upstream');
+        assert.strictEqual(gitRefInfo.source, 'upstream');
+        assert.strictEqual(gitRefInfo.fellBackToMain, false);
+
+        // A pushed branch with the same name is used as-is
+        await git(gitRoot, 'push', '-q', 'origin', 'local-only');
+        await git(gitRoot, 'branch', '-q', '--unset-upstream');
+        gitRefInfo = await _test.getGitHubRef(gitRoot, false, 'origin');
+        assert.strictEqual(gitRefInfo.ref, 'local-only');
+        assert.strictEqual(gitRefInfo.source, 'remoteBranch');
+        assert.strictEqual(_test.describeRefReason(gitRefInfo), '');
+    });
+
+    console.log('✓ Ref resolution test passed!');
+}
+
+async function testForkBranchRemotes() {
+    console.log('\nTesting branches that only exist on a fork...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'origin', 'git@github.com:someone/kibana.git');
+        await addRemote(gitRoot, 'mirror', 'https://example.com/elastic/kibana.git');
+        await addRemote(gitRoot, 'upstream', 'git@github.com:elastic/kibana.git');
+        await commitFile(gitRoot, 'a.txt', 'a\n');
+
+        const repositoryInfos = await _test.getAllRepositoryInfos(gitRoot, _test.getHostOptions(createConfig()));
+        assert.deepStrictEqual(repositoryInfos.map(info => info.remoteName), ['upstream', 'origin']);
+
+        const options = { mode: 'local' };
+        await git(gitRoot, 'checkout', '-q', '-b', 'feature');
+        assert.deepStrictEqual(await _test.findRepositoriesWithBranch(gitRoot, repositoryInfos, options), []);
+
+        // Only the fork has the branch
+        await git(gitRoot, 'update-ref', 'refs/remotes/origin/feature', 'HEAD');
+        let withBranch = await _test.findRepositoriesWithBranch(gitRoot, repositoryInfos, options);
+        assert.deepStrictEqual(withBranch.map(info => info.url), ['https://github.com/someone/kibana']);
+
+        // Both have it, in order of preference
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/feature', 'HEAD');
+        withBranch = await _test.findRepositoriesWithBranch(gitRoot, repositoryInfos, options);
+        assert.deepStrictEqual(withBranch.map(info => info.remoteName), ['upstream', 'origin']);
+    });
+
+    console.log('✓ Fork branch remotes test passed!');
+}
+
+async function testLinkStatus() {
+    console.log('\nTesting the status bar link status...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'origin', 'git@github.com:someone/kibana.git');
+        await addRemote(gitRoot, 'upstream', 'git@github.com:elastic/kibana.git');
+        await commitFile(gitRoot, 'a.txt', 'a\n');
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/main', 'HEAD');
+        await git(gitRoot, 'checkout', '-q', '-b', 'feature');
+
+        // An unpushed branch falls back to the default branch, with a warning
+        let status = await _test.getLinkStatus(gitRoot, createConfig());
+        assert.strictEqual(status.repositoryInfo.remoteName, 'upstream');
+        assert.strictEqual(status.gitRefInfo.ref, 'main');
+        let formatted = _test.formatLinkStatus(status);
+        assert.strictEqual(formatted.text, '$(warning) elastic/kibana · main');
+        assert.strictEqual(formatted.warning, true);
+        assert.ok(formatted.tooltip.includes('Local branch feature not found on upstream'));
+        assert.ok(formatted.tooltip.includes('Push feature to link to your changes on GitHub'));
+
+        // A branch pushed only to the fork links there, without asking
+        await git(gitRoot, 'update-ref', 'refs/remotes/origin/feature', 'HEAD');
+        status = await _test.getLinkStatus(gitRoot, createConfig());
+        formatted = _test.formatLinkStatus(status);
+        assert.strictEqual(formatted.text, '$(github) someone/kibana · feature');
+        assert.strictEqual(formatted.warning, false);
+        assert.ok(formatted.tooltip.startsWith('Links open https://github.com/someone/kibana at feature (remote origin)'));
+
+        // When several remotes have the branch, the preferred one is kept instead of prompting
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/feature', 'HEAD');
+        status = await _test.getLinkStatus(gitRoot, createConfig());
+        assert.strictEqual(status.repositoryInfo.remoteName, 'upstream');
+
+        status = await _test.getLinkStatus(gitRoot, createConfig('', undefined, { useCommitHash: true }));
+        const head = await git(gitRoot, 'rev-parse', 'HEAD');
+        assert.strictEqual(_test.formatLinkStatus(status).text, `$(github) elastic/kibana · ${head.substring(0, 8)}`);
+
+        // Path mappings are applied per file, and files matching other rules get their own status
+        const mappedConfig = createConfig('', undefined, {
+            pathMappings: [{ localPath: 'packages/*', repositoryUrl: 'https://github.com/acme/$1', ref: 'main' }]
+        });
+        status = await _test.getLinkStatus(gitRoot, mappedConfig, 'packages/api/index.js');
+        formatted = _test.formatLinkStatus(status);
+        assert.strictEqual(formatted.text, '$(github) acme/api · main');
+        assert.ok(formatted.tooltip.includes('openInGithub.pathMappings maps this file to index.js'));
+        assert.strictEqual(_test.formatLinkStatus(await _test.getLinkStatus(gitRoot, mappedConfig, 'src/a.js')).text, '$(github) elastic/kibana · feature');
+        const statusKey = (relativePath, revision) => _test.getLinkStatusKey(gitRoot, mappedConfig, relativePath, revision);
+        assert.strictEqual(statusKey('src/a.js'), statusKey('docs/b.md'));
+        assert.strictEqual(statusKey('packages/api/a.js'), statusKey('packages/api/lib/b.js'));
+        assert.notStrictEqual(statusKey('packages/api/a.js'), statusKey('packages/ui/a.js'));
+        assert.notStrictEqual(statusKey('src/a.js'), statusKey('src/a.js', 'HEAD~1'));
+        assert.ok(statusKey('src/a.js').startsWith(`${gitRoot}\0`));
+
+        // Old revisions link to that revision
+        status = await _test.getLinkStatus(gitRoot, createConfig(), 'a.txt', 'HEAD');
+        assert.strictEqual(status.gitRefInfo.ref, head);
+        assert.strictEqual(status.gitRefInfo.source, 'gitRevision');
+    });
+
+    await withTempGitRepo(async (gitRoot) => {
+        await commitFile(gitRoot, 'a.txt', 'a\n');
+        assert.strictEqual(await _test.getLinkStatus(gitRoot, createConfig()), null);
+    });
+
+    console.log('✓ Link status test passed!');
+}
+
+async function testLinkResolutionReport() {
+    console.log('\nTesting the link resolution report...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'origin', 'git@github.com:someone/kibana.git');
+        await addRemote(gitRoot, 'mirror', 'https://example.com/elastic/kibana.git');
+        await addRemote(gitRoot, 'upstream', 'git@github.com:elastic/kibana.git');
+        await commitFile(gitRoot, 'src/a.js', 'one\ntwo\n');
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/main', 'HEAD');
+        await git(gitRoot, 'symbolic-ref', 'refs/remotes/upstream/HEAD', 'refs/remotes/upstream/main');
+        await git(gitRoot, 'checkout', '-q', '-b', 'feature');
+        const filePath = path.join(gitRoot, 'src', 'a.js');
+        const config = createConfig('', undefined, { remoteBranchCheck: 'local' });
+
+        // An unpushed branch falls back to upstream's default branch
+        let report = (await _test.explainLinkResolution(filePath, config)).join('\n');
+        assert.ok(report.includes(`Git root: ${fs.realpathSync(gitRoot)}`));
+        assert.ok(report.includes('Path: src/a.js'));
+        assert.ok(report.includes('origin: git@github.com:someone/kibana.git -> https://github.com/someone/kibana (GitHub)'));
+        assert.ok(report.includes('mirror: https://example.com/elastic/kibana.git -> not recognized'));
+        assert.ok(report.includes('openInGithub.repositoryUrl is not set'));
+        assert.ok(report.includes('Using remote upstream, the first supported one in openInGithub.remotePriority (upstream, origin)'));
+        assert.ok(report.includes('Local branch feature has no upstream'));
+        assert.ok(report.includes('refs/remotes/upstream/feature does not exist (remoteBranchCheck is local)'));
+        assert.ok(report.includes('Default branch of upstream is main (from refs/remotes/upstream/HEAD)'));
+        assert.ok(report.includes('File: https://github.com/elastic/kibana/blob/main/src/a.js'));
+
+        // A branch pushed to the fork switches remotes, and line numbers follow local edits
+        await git(gitRoot, 'update-ref', 'refs/remotes/origin/feature', 'HEAD');
+        report = (await _test.explainLinkResolution(filePath, config, {
+            lines: { start: 3, end: 3 },
+            documentText: 'zero\nnew\none\ntwo\n'
+        })).join('\n');
+        assert.ok(report.includes('Using remote origin, the only one with the current branch'));
+        assert.ok(report.includes('Local changes move line 3 to line 1 on refs/remotes/origin/feature'));
+        assert.ok(report.includes('Lines: https://github.com/someone/kibana/blob/feature/src/a.js#L1'));
+
+        // The settings scope of repositoryUrl is reported
+        const configured = createConfig('https://github.com/elastic/kibana', { workspaceValue: 'https://github.com/elastic/kibana' });
+        report = (await _test.explainLinkResolution(filePath, configured)).join('\n');
+        assert.ok(report.includes('openInGithub.repositoryUrl is https://github.com/elastic/kibana in workspace settings'));
+        const invalid = createConfig('not a url', { globalValue: 'not a url' });
+        report = (await _test.explainLinkResolution(filePath, invalid)).join('\n');
+        assert.ok(report.includes('in user settings, which is not a supported repository URL, so it is ignored'));
+    });
+
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'open-in-github-outside-'));
+    try {
+        const report = await _test.explainLinkResolution(path.join(outside, 'a.js'), createConfig());
+        assert.ok(report.includes('  Not in a git repository'));
+    } finally {
+        fs.rmSync(outside, { recursive: true, force: true });
+    }
+
+    console.log('✓ Link resolution report test passed!');
+}
+
+async function testSubmodulesAndWorktrees() {
+    console.log('\nTesting submodules, worktrees and nested repositories...');
+
+    assert.strictEqual(
+        _test.resolveRelativeRemoteUrl('git@github.com:org/super.git', '../lib.git'),
+        'git@github.com:org/lib.git'
+    );
+    assert.strictEqual(
+        _test.resolveRelativeRemoteUrl('https://github.com/org/super/', './nested/lib'),
+        'https://github.com/org/super/nested/lib'
+    );
+    assert.strictEqual(
+        _test.resolveRelativeRemoteUrl('https://github.com/org/super.git', '../../other/lib.git'),
+        'https://github.com/other/lib.git'
+    );
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'origin', 'git@github.com:org/super.git');
+        await commitFile(gitRoot, '.gitignore', 'vendor/\n');
+
+        // A submodule whose .gitmodules URL is relative to the superproject's remote
+        const libSource = await addBareRemote(gitRoot, 'lib-source');
+        await withTempGitRepo(async (libRoot) => {
+            await git(libRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+            await commitFile(libRoot, 'lib.js', 'lib\n');
+            await git(libRoot, 'push', '-q', libSource, 'main');
+        });
+        await git(gitRoot, '-c', 'protocol.file.allow=always', 'submodule', 'add', '-q', libSource, 'libs/lib');
+        await git(gitRoot, 'config', '--file', '.gitmodules', 'submodule.libs/lib.url', '../lib.git');
+        await git(gitRoot, 'config', '--unset', 'submodule.libs/lib.url');
+        await git(gitRoot, 'add', '.gitmodules');
+        await git(gitRoot, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-q', '-m', 'Add lib');
+
+        const submoduleRoot = path.join(await git(gitRoot, 'rev-parse', '--show-toplevel'), 'libs', 'lib');
+        const pinnedCommit = await git(submoduleRoot, 'rev-parse', 'HEAD');
+        assert.strictEqual(await _test.getGitRoot(path.join(submoduleRoot, 'lib.js')), submoduleRoot);
+
+        // Moving the submodule's HEAD does not change the commit the superproject pins
+        await commitFile(submoduleRoot, 'lib.js', 'changed\n');
+        const submodule = await _test.getSubmoduleInfo(submoduleRoot);
+        assert.strictEqual(submodule.path, 'libs/lib');
+        assert.strictEqual(submodule.commit, pinnedCommit);
+        assert.deepStrictEqual(submodule.repositoryInfo, {
+            url: 'https://github.com/org/lib',
+            remoteName: null,
+            provider: 'github'
+        });
+        assert.strictEqual(
+            _test.constructGitHubUrl(submodule.repositoryInfo, { ref: submodule.commit, type: 'commit' }, 'lib.js', { start: 1, end: 1 }),
+            `https://github.com/org/lib/blob/${pinnedCommit}/lib.js#L1`
+        );
+        assert.strictEqual(await _test.getSubmoduleInfo(gitRoot), null);
+
+        // Without a remembered choice, 'ask' still has to ask
+        assert.strictEqual(_test.getSubmoduleLinkMode(submoduleRoot, createConfig()), 'ask');
+        assert.strictEqual(_test.getSubmoduleLinkMode(submoduleRoot, createConfig('', undefined, { submoduleLinks: 'superproject' })), 'superproject');
+
+        // The status bar follows the same rules, without asking
+        const superprojectConfig = createConfig('', undefined, { submoduleLinks: 'superproject' });
+        const pinnedStatus = await _test.getLinkStatus(submoduleRoot, superprojectConfig, 'lib.js');
+        assert.strictEqual(pinnedStatus.repositoryInfo.url, 'https://github.com/org/lib');
+        assert.strictEqual(pinnedStatus.gitRefInfo.ref, pinnedCommit);
+        assert.strictEqual(pinnedStatus.gitRefInfo.source, 'submoduleCommit');
+
+        // The report explains the link the commands open
+        const libPath = path.join(submoduleRoot, 'lib.js');
+        const { url: pinnedUrl } = await resolveLinkForPath(libPath, superprojectConfig);
+        assert.strictEqual(pinnedUrl, `https://github.com/org/lib/blob/${pinnedCommit}/lib.js`);
+        const report = await _test.explainLinkResolution(libPath, superprojectConfig);
+        assert.ok(report.includes('  libs/lib is a submodule pinned to ' +
+            `${pinnedCommit} by ${fs.realpathSync(gitRoot)}; openInGithub.submoduleLinks is superproject`));
+        assert.strictEqual(report[report.length - 1], `  File: ${pinnedUrl}`);
+
+        // A repository nested in an ignored directory is not a submodule
+        const nestedRoot = path.join(gitRoot, 'vendor', 'nested');
+        fs.mkdirSync(nestedRoot, { recursive: true });
+        await git(nestedRoot, 'init', '-q');
+        fs.writeFileSync(path.join(nestedRoot, 'file.txt'), 'nested\n');
+        assert.strictEqual(
+            await _test.getGitRoot(path.join(nestedRoot, 'file.txt')),
+            await git(nestedRoot, 'rev-parse', '--show-toplevel')
+        );
+        assert.strictEqual(await _test.getSubmoduleInfo(nestedRoot), null);
+
+        // A linked worktree has its own root but shares the remotes
+        const worktreeParent = fs.mkdtempSync(path.join(os.tmpdir(), 'open-in-github-worktree-'));
+        try {
+            const worktreeRoot = path.join(worktreeParent, 'wt');
+            await git(gitRoot, 'worktree', 'add', '-q', '-b', 'worktree-branch', worktreeRoot);
+            const realWorktreeRoot = await git(worktreeRoot, 'rev-parse', '--show-toplevel');
+            assert.strictEqual(await _test.getGitRoot(path.join(worktreeRoot, '.gitignore')), realWorktreeRoot);
+            assert.strictEqual(await _test.getSubmoduleInfo(realWorktreeRoot), null);
+
+            const repositoryInfo = await _test.getGitHubRepositoryInfo(realWorktreeRoot, createConfig());
+            assert.strictEqual(repositoryInfo.url, 'https://github.com/org/super');
+            const gitRefInfo = await _test.getGitHubRef(realWorktreeRoot, false, null);
+            assert.strictEqual(gitRefInfo.ref, 'worktree-branch');
+        } finally {
+            await git(gitRoot, 'worktree', 'remove', '--force', path.join(worktreeParent, 'wt'));
+            fs.rmSync(worktreeParent, { recursive: true, force: true });
+        }
+    });
+
+    console.log('✓ Submodules and worktrees test passed!');
+}
+
+function testPathMappings() {
+    console.log('\nTesting path mappings...');
+
+    const config = createConfig('', undefined, {
+        pathMappings: [
+            { localPath: '/packages/*/', repositoryUrl: 'git@github.com:acme/$1.git' },
+            { localPath: 'packages/ui', repositoryUrl: 'https://github.com/acme/design-system', remotePath: 'src', ref: 'main' },
+            { localPath: 'vendor/**/lib', remotePath: 'third-party/$1' },
+            { repositoryUrl: 'https://github.com/acme/ignored' }
+        ]
+    });
+    const pathMappings = _test.getPathMappings(config);
+    assert.strictEqual(pathMappings.length, 3, 'Rules without a localPath should be skipped');
+    assert.strictEqual(pathMappings[0].localPath, 'packages/*');
+    assert.strictEqual(_test.getPathMappings(createConfig('', undefined, { pathMappings: 'packages' })).length, 0);
+
+    // Globs only match whole leading path segments
+    assert.ok(_test.pathGlobToRegExp('packages/*').test('packages/api/index.js'));
+    assert.ok(!_test.pathGlobToRegExp('packages/ui').test('packages/ui-kit/index.js'));
+    assert.ok(!_test.pathGlobToRegExp('packages/ui').test('src/packages/ui/index.js'));
+    assert.ok(_test.pathGlobToRegExp('vendor/**/lib').test('vendor/lib/a.js'));
+    assert.ok(_test.pathGlobToRegExp('**/fixtures').test('fixtures/a.json'));
+    assert.ok(_test.pathGlobToRegExp('**/fixtures').test('test/unit/fixtures/a.json'));
+    assert.ok(_test.pathGlobToRegExp('docs/v1.0').test('docs/v1.0/index.md'));
+    assert.ok(!_test.pathGlobToRegExp('docs/v1.0').test('docs/v100/index.md'));
+
+    // The longest matching prefix wins
+    assert.strictEqual(_test.findPathMapping(pathMappings, 'packages/ui/Button.tsx').mapping, pathMappings[1]);
+    assert.strictEqual(_test.findPathMapping(pathMappings, 'packages/api/index.js').mapping, pathMappings[0]);
+    assert.strictEqual(_test.findPathMapping(pathMappings, 'src/index.js'), null);
+
+    const repositoryInfo = { url: 'https://github.com/acme/monorepo', remoteName: 'origin', provider: 'github' };
+    const gitRefInfo = { ref: 'feature', type: 'branch', localBranch: 'feature', remoteName: 'origin', fellBackToMain: false, source: 'upstream' };
+
+    const unmapped = _test.applyPathMapping('src/index.js', repositoryInfo, gitRefInfo, pathMappings);
+    assert.deepStrictEqual(unmapped, { relativePath: 'src/index.js', repositoryInfo, gitRefInfo, mapped: false });
+
+    // Captures are substituted into the repository URL and the resolved ref is kept
+    const captured = _test.applyPathMapping('packages/api/lib/index.js', repositoryInfo, gitRefInfo, pathMappings);
+    assert.strictEqual(captured.mapped, true);
+    assert.strictEqual(captured.relativePath, 'lib/index.js');
+    assert.strictEqual(captured.repositoryInfo.url, 'https://github.com/acme/api');
+    assert.strictEqual(captured.gitRefInfo, gitRefInfo);
+    assert.strictEqual(
+        _test.constructGitHubUrl(captured.repositoryInfo, captured.gitRefInfo, captured.relativePath, { start: 3, end: 4 }),
+        'https://github.com/acme/api/blob/feature/lib/index.js#L3-L4'
+    );
+
+    // A rule's ref replaces the resolved ref
+    const pinned = _test.applyPathMapping('packages/ui/Button.tsx', repositoryInfo, gitRefInfo, pathMappings);
+    assert.strictEqual(pinned.relativePath, 'src/Button.tsx');
+    assert.strictEqual(pinned.gitRefInfo.ref, 'main');
+    assert.strictEqual(pinned.gitRefInfo.type, 'branch');
+    assert.strictEqual(pinned.gitRefInfo.source, 'pathMapping');
+    assert.strictEqual(
+        _test.constructHistoryUrl(pinned.repositoryInfo, pinned.gitRefInfo, pinned.relativePath),
+        'https://github.com/acme/design-system/commits/main/src/Button.tsx'
+    );
+    const commit = 'a'.repeat(40);
+    const pinnedToCommit = _test.applyPathMapping('packages/ui', repositoryInfo, gitRefInfo, [{ ...pathMappings[1], ref: commit }]);
+    assert.strictEqual(pinnedToCommit.gitRefInfo.type, 'commit');
+    assert.strictEqual(pinnedToCommit.relativePath, 'src');
+
+    // Commits of the monorepo do not exist in another repository, so its links use a branch
+    const commitRefInfo = { ref: commit, type: 'commit', localBranch: null, remoteName: 'origin', fellBackToMain: false, source: 'commitHash' };
+    const split = _test.applyPathMapping('packages/api/index.js', repositoryInfo, commitRefInfo, pathMappings);
+    assert.strictEqual(split.gitRefInfo.ref, 'main');
+    assert.strictEqual(split.gitRefInfo.type, 'branch');
+    assert.strictEqual(split.gitRefInfo.source, 'pathMappingBranch');
+    assert.match(_test.describeRefReason(split.gitRefInfo), /commit aaaaaaaa is not in the repository .* using branch main/);
+    assert.strictEqual(
+        _test.constructGitHubUrl(split.repositoryInfo, split.gitRefInfo, split.relativePath),
+        'https://github.com/acme/api/blob/main/index.js'
+    );
+    const mergeBaseRefInfo = { ...commitRefInfo, localBranch: 'feature', source: 'mergeBase' };
+    assert.strictEqual(_test.applyPathMapping('packages/api/index.js', repositoryInfo, mergeBaseRefInfo, pathMappings).gitRefInfo.ref, 'feature');
+    assert.strictEqual(_test.applyPathMapping('vendor/lib/a.js', repositoryInfo, commitRefInfo, pathMappings).gitRefInfo, commitRefInfo);
+
+    // Without a repositoryUrl only the path is rewritten, and ** captures any number of segments
+    const vendored = _test.applyPathMapping('vendor/github.com/left-pad/lib/index.js', repositoryInfo, gitRefInfo, pathMappings);
+    assert.strictEqual(vendored.repositoryInfo, repositoryInfo);
+    assert.strictEqual(vendored.relativePath, 'third-party/github.com/left-pad/index.js');
+    assert.strictEqual(
+        _test.applyPathMapping('vendor/lib/index.js', repositoryInfo, gitRefInfo, pathMappings).relativePath,
+        'third-party/index.js'
+    );
+
+    assert.throws(
+        () => _test.applyPathMapping('tools/a.js', repositoryInfo, gitRefInfo, [{ localPath: 'tools', repositoryUrl: 'not a url', remotePath: '', ref: null }]),
+        /not a supported repository URL/
+    );
+
+    console.log('✓ Path mappings test passed!');
+}
+
+async function testLinkTemplates() {
+    console.log('\nTesting link templates and URL encoding...');
+
+    // Paths and refs are encoded per segment, so #, ? and spaces stay in the path
+    assert.strictEqual(_test.encodeUrlPath('docs/C# notes?.md'), 'docs/C%23%20notes%3F.md');
+    const gitHub = { provider: 'github', url: 'https://github.com/owner/repo' };
+    assert.strictEqual(
+        _test.constructGitHubUrl(gitHub, { ref: 'feature/50%', type: 'branch' }, 'docs/C# notes?.md', { start: 2, end: 2 }),
+        'https://github.com/owner/repo/blob/feature/50%25/docs/C%23%20notes%3F.md#L2'
+    );
+    assert.strictEqual(
+        _test.constructTreeUrl({ provider: 'gitea', url: 'https://codeberg.org/owner/repo' }, { ref: 'main', type: 'branch' }, 'a b'),
+        'https://codeberg.org/owner/repo/src/branch/main/a%20b'
+    );
+    assert.strictEqual(
+        _test.constructHistoryUrl({ provider: 'azure', url: 'https://dev.azure.com/org/project/_git/repo' }, { ref: 'main', type: 'branch' }, 'a#b'),
+        'https://dev.azure.com/org/project/_git/repo?path=%2Fa%23b&version=GBmain&_a=history'
+    );
+    const parsedLink = _test.parseRepositoryLink('https://github.com/owner/repo/blob/main/docs/C%23%20notes%3F.md#L2');
+    assert.strictEqual(parsedLink.refAndPath, 'main/docs/C# notes?.md');
+
+    const templates = _test.getLinkTemplates(createConfig('', undefined, {
+        linkTemplates: [
+            { name: 'Sourcegraph', url: 'https://sourcegraph.example.com/github.com/{owner}/{repo}@{sha}/-/blob/{path}?L{line}-{endLine}' },
+            { name: 'Search', url: '{repoUrl}/search?q={path}&ref={ref}&remote={remote}' },
+            { name: 'Missing url' }
+        ]
+    }));
+    assert.strictEqual(templates.length, 2, 'Templates without a url should be skipped');
+
+    const repositoryInfo = { provider: 'github', url: 'https://github.com/owner/repo', remoteName: 'origin' };
+    const gitRefInfo = { ref: 'feature/x', type: 'branch', remoteName: 'origin' };
+    const sha = 'b'.repeat(40);
+    assert.strictEqual(
+        _test.expandLinkTemplate(templates[0], { repositoryInfo, gitRefInfo, sha, relativePath: 'src/a b.js', lines: { start: 3, end: 5 } }),
+        `https://sourcegraph.example.com/github.com/owner/repo@${sha}/-/blob/src/a%20b.js?L3-5`
+    );
+    assert.strictEqual(
+        _test.expandLinkTemplate(templates[1], { repositoryInfo, gitRefInfo, sha, relativePath: 'src/a.js', lines: null }),
+        'https://github.com/owner/repo/search?q=src/a.js&ref=feature/x&remote=origin'
+    );
+    assert.strictEqual(
+        _test.expandLinkTemplate({ name: 'Owner', url: '{owner}/{repo}' }, {
+            repositoryInfo: { provider: 'gitlab', url: 'https://gitlab.com/group/sub/project' }, gitRefInfo, sha, relativePath: '', lines: null
+        }),
+        'group/sub/project'
+    );
+    assert.throws(
+        () => _test.expandLinkTemplate({ name: 'Typo', url: '{repoURL}' }, { repositoryInfo, gitRefInfo, sha, relativePath: '', lines: null }),
+        /Unknown placeholder \{repoURL\} in link template "Typo"/
+    );
+    assert.throws(
+        () => _test.expandLinkTemplate(templates[0], { repositoryInfo, gitRefInfo, sha: null, relativePath: '', lines: null }),
+        /Could not resolve the commit/
+    );
+
+    // {sha} is the remote-tracking branch or the commit itself, never an unpushed local commit
+    await withTempGitRepo(async (repoPath) => {
+        const first = await commitFile(repoPath, 'a.js', 'one\n', 'First');
+        await git(repoPath, 'update-ref', 'refs/remotes/origin/feature/x', first);
+        await commitFile(repoPath, 'a.js', 'two\n', 'Second');
+
+        assert.strictEqual(await _test.getLinkCommit(repoPath, { ref: 'feature/x', type: 'branch', remoteName: 'origin' }), first);
+        assert.strictEqual(await _test.getLinkCommit(repoPath, { ref: 'other', type: 'branch', remoteName: 'origin' }), null);
+        assert.strictEqual(await _test.getLinkCommit(repoPath, { ref: sha, type: 'commit', remoteName: null }), sha);
+        assert.strictEqual(await _test.getLinkCommit(repoPath, { ref: 'main', type: 'branch', remoteName: null }), null);
+
+        // Snippet permalinks pin the pushed commit, and lines map through the unpushed changes
+        const target = {
+            gitRoot: repoPath,
+            localPath: 'a.js',
+            relativePath: 'a.js',
+            repositoryInfo,
+            gitRefInfo: { ref: 'feature/x', type: 'branch', remoteName: 'origin', source: 'upstream' },
+            mapped: false
+        };
+        const pinned = await _test.pinLinkTarget(target);
+        assert.deepStrictEqual(pinned.gitRefInfo, { ref: first, type: 'commit', remoteName: 'origin', source: 'upstream' });
+        const remote = await _test.getRemoteLineRanges(pinned, [{ start: 2, end: 2 }], 'zero\none\n', createConfig());
+        assert.deepStrictEqual(remote.lineRanges, [{ start: 1, end: 1 }]);
+        const unfetched = { ...target, gitRefInfo: { ...target.gitRefInfo, ref: 'other' } };
+        assert.strictEqual(await _test.pinLinkTarget(unfetched), unfetched);
+    });
+
+    console.log('✓ Link templates test passed!');
+}
+
+async function testRemoteBranchChecks() {
+    console.log('\nTesting remote branch checks...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addBareRemote(gitRoot, 'origin');
+        await commitFile(gitRoot, 'a.txt', 'a\n');
+        await git(gitRoot, 'push', '-q', 'origin', 'main', 'main:pushed-elsewhere');
+        await git(gitRoot, 'fetch', '-q', 'origin');
+
+        // Fresh remote-tracking refs answer without contacting the remote
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'main', { mode: 'local' }), true);
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'main'), true);
+
+        // A maximum age of 0 always asks the remote, even right after a fetch
+        await git(gitRoot, 'update-ref', 'refs/remotes/origin/deleted', 'HEAD');
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'deleted'), true);
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'deleted', { remoteRefMaxAgeMs: 0 }), false);
+        await git(gitRoot, 'update-ref', '-d', 'refs/remotes/origin/deleted');
+
+        // A branch missing locally is looked up on the remote, unless in local mode
+        await git(gitRoot, 'update-ref', '-d', 'refs/remotes/origin/pushed-elsewhere');
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'pushed-elsewhere', { mode: 'local' }), false);
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'pushed-elsewhere'), true);
+
+        // ls-remote answers are cached per repository until cleared
+        await git(gitRoot, 'push', '-q', 'origin', '--delete', 'pushed-elsewhere');
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'pushed-elsewhere'), true);
+        _test.clearRemoteBranchCache(gitRoot);
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'pushed-elsewhere'), false);
+
+        // Branch names are matched exactly, not as ref suffixes
+        await git(gitRoot, 'push', '-q', 'origin', 'main:team/feature');
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'origin', 'feature', { mode: 'remote' }), false);
+
+        // Unreachable remotes fall back to the local answer instead of failing
+        await addRemote(gitRoot, 'offline', path.join(gitRoot, 'does-not-exist.git'));
+        assert.strictEqual(await _test.remoteBranchExists(gitRoot, 'offline', 'main', { remoteTimeoutMs: 2000 }), false);
+    });
+
+    console.log('✓ Remote branch checks test passed!');
+}
+
+async function testPullRequestApiLookup() {
+    console.log('\nTesting pull request API lookup...');
+
+    const sha = 'a'.repeat(40);
+    const routes = {
+        [`/repos/elastic/kibana/commits/${sha}/pulls`]: [
+            { number: 12, title: 'Open follow-up', state: 'open', merged_at: null },
+            { number: 7, title: 'Landed here', state: 'closed', merged_at: '2024-01-01T00:00:00Z' }
+        ]
+    };
+
+    await withMockGitHubApi(routes, async (apiBaseUrl, requests) => {
+        const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'open-in-github-cache-'));
+        try {
+            const options = { apiBaseUrl, token: 'secret', cacheDir };
+            const pullRequests = await _test.getPullRequestsForCommitFromApi('https://github.com/elastic/kibana', sha, options);
+            assert.deepStrictEqual(pullRequests.map(pullRequest => pullRequest.number), [7, 12]);
+            assert.strictEqual(requests[0].authorization, 'Bearer secret');
+
+            // The second lookup is served from the on-disk cache
+            await _test.getPullRequestsForCommitFromApi('https://github.com/elastic/kibana', sha, options);
+            assert.strictEqual(requests.length, 1);
+
+            assert.strictEqual(
+                await _test.getPullRequestsForCommitFromApi('https://github.com/elastic/kibana', 'b'.repeat(40), options),
+                null
+            );
+        } finally {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    assert.strictEqual(_test.getGitHubApiBaseUrl('https://github.com/elastic/kibana', createConfig()), 'https://api.github.com');
+    assert.strictEqual(
+        _test.getGitHubApiBaseUrl('https://github.example.com/elastic/kibana', createConfig()),
+        'https://github.example.com/api/v3'
+    );
+
+    // Tokens only go to the host they belong to
+    const savedTokens = { GITHUB_TOKEN: process.env.GITHUB_TOKEN, GH_TOKEN: process.env.GH_TOKEN };
+    try {
+        process.env.GITHUB_TOKEN = 'env-token';
+        delete process.env.GH_TOKEN;
+        const enterpriseApi = 'https://github.example.com/api/v3';
+        assert.strictEqual(await _test.getGitHubToken('https://api.github.com', createConfig()), 'env-token');
+        assert.strictEqual(await _test.getGitHubToken(enterpriseApi, createConfig()), null);
+        assert.strictEqual(await _test.getGitHubToken(enterpriseApi, createConfig('', undefined, { githubToken: 'secret' })), null);
+        assert.strictEqual(
+            await _test.getGitHubToken('http://127.0.0.1:9', createConfig('', undefined, { githubToken: 'secret', githubApiUrl: 'http://127.0.0.1:9/' })),
+            'secret'
+        );
+
+        const hostTokens = createConfig('', undefined, { githubToken: { 'GitHub.example.com': 'ghe-token', 'github.com': 'dotcom-token' } });
+        assert.strictEqual(await _test.getGitHubToken(enterpriseApi, hostTokens), 'ghe-token');
+        assert.strictEqual(await _test.getGitHubToken('https://api.github.com', hostTokens), 'dotcom-token');
+        assert.strictEqual(await _test.getGitHubToken('https://other.example.com/api/v3', hostTokens), null);
+    } finally {
+        for (const [name, value] of Object.entries(savedTokens)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    }
+
+    await withTempGitRepo(async (gitRoot) => {
+        const commitHash = await commitFile(gitRoot, 'a.txt', 'a\n', 'Rebase-merged change (#42)');
+        const repositoryInfo = { url: 'https://github.com/elastic/kibana', remoteName: 'origin', provider: 'github' };
+
+        await withMockGitHubApi({
+            [`/repos/elastic/kibana/commits/${commitHash}/pulls`]: [{ number: 99, state: 'closed', merged_at: '2024-01-01' }]
+        }, async (apiBaseUrl) => {
+            const config = createConfig('', undefined, { githubToken: 'secret', githubApiUrl: apiBaseUrl });
+            assert.strictEqual(await _test.findPRNumberForCommit(gitRoot, repositoryInfo, commitHash, config), '99');
+        });
+
+        // Falls back to the commit message when the API cannot be reached
+        const offlineConfig = createConfig('', undefined, { githubToken: 'secret', githubApiUrl: 'http://127.0.0.1:9' });
+        assert.strictEqual(await _test.findPRNumberForCommit(gitRoot, repositoryInfo, commitHash, offlineConfig), '42');
+
+        // Merge requests of nested GitLab groups belong to the current repository
+        const mergeCommit = await commitFile(gitRoot, 'b.txt', 'b\n', 'Merge branch \'feature\' into main\n\nSee merge request group/sub/project!12');
+        const gitlabInfo = { url: 'https://gitlab.com/group/sub/project', remoteName: 'origin', provider: 'gitlab' };
+        assert.strictEqual(await _test.findPRNumberForCommit(gitRoot, gitlabInfo, mergeCommit, createConfig()), '12');
+    });
+
+    console.log('✓ Pull request API lookup test passed!');
+}
+
+async function testPullRequestForBranch() {
+    console.log('\nTesting PR for current branch...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        await commitFile(gitRoot, 'a.txt', 'a\n');
+        await git(gitRoot, 'branch', '-M', 'main');
+        await addBareRemote(gitRoot, 'upstream');
+        await addBareRemote(gitRoot, 'origin');
+        await git(gitRoot, 'push', '-q', 'upstream', 'main');
+
+        // Not pushed anywhere yet, so origin is assumed
+        await git(gitRoot, 'checkout', '-q', '-b', 'feature');
+        await commitFile(gitRoot, 'a.txt', 'b\n');
+        assert.deepStrictEqual(await _test.getPushBranch(gitRoot, 'feature'), { remoteName: 'origin', branch: 'feature' });
+
+        // Pushed to the fork under another name
+        await git(gitRoot, 'push', '-q', '-u', 'origin', 'feature:someone/feature');
+        assert.deepStrictEqual(
+            await _test.getPushBranch(gitRoot, 'feature'),
+            { remoteName: 'origin', branch: 'someone/feature' }
+        );
+
+        // An explicit push remote wins over the upstream
+        await git(gitRoot, 'config', 'remote.pushDefault', 'upstream');
+        assert.deepStrictEqual(await _test.getPushBranch(gitRoot, 'feature'), { remoteName: 'upstream', branch: 'feature' });
+    });
+
+    const upstream = { url: 'https://github.com/elastic/kibana', remoteName: 'upstream', provider: 'github' };
+    const fork = { url: 'https://github.com/someone/kibana', remoteName: 'origin', provider: 'github' };
+    assert.strictEqual(
+        _test.constructCompareUrl(upstream, fork, 'fix-bug', 'main'),
+        'https://github.com/elastic/kibana/compare/main...someone:fix-bug?expand=1'
+    );
+    assert.strictEqual(
+        _test.constructCompareUrl(upstream, upstream, 'fix-bug', 'main'),
+        'https://github.com/elastic/kibana/compare/main...fix-bug?expand=1'
+    );
+    assert.strictEqual(
+        _test.constructCompareUrl(upstream, fork, 'fix/#12?', 'release/8.x'),
+        'https://github.com/elastic/kibana/compare/release/8.x...someone:fix/%2312%3F?expand=1'
+    );
+    assert.strictEqual(
+        _test.constructCompareUrl({ url: 'https://codeberg.org/owner/repo', provider: 'gitea' }, { url: 'https://codeberg.org/owner/repo' }, 'a#b', 'main'),
+        'https://codeberg.org/owner/repo/compare/main...a%23b'
+    );
+    assert.strictEqual(
+        _test.constructCompareUrl(
+            { url: 'https://gitlab.com/group/project', provider: 'gitlab' },
+            { url: 'https://gitlab.com/someone/project', provider: 'gitlab' },
+            'fix-bug',
+            'main'
+        ),
+        'https://gitlab.com/someone/project/-/merge_requests/new?merge_request%5Bsource_branch%5D=fix-bug'
+    );
+
+    await withMockGitHubApi({
+        '/repos/elastic/kibana/pulls?head=someone%3Afix-bug&state=all': [
+            { number: 3, title: 'Old attempt', state: 'closed' },
+            { number: 8, title: 'Fix bug', state: 'open' }
+        ]
+    }, async (apiBaseUrl) => {
+        const options = { apiBaseUrl, token: 'secret' };
+        const pullRequests = await _test.getPullRequestsForBranchFromApi(upstream.url, 'someone', 'fix-bug', options);
+        assert.deepStrictEqual(pullRequests.map(pullRequest => pullRequest.number), [8, 3]);
+        assert.strictEqual(await _test.getPullRequestsForBranchFromApi(upstream.url, 'someone', 'other', options), null);
+    });
+
+    console.log('✓ PR for current branch test passed!');
+}
+
+async function testReverseLookup() {
+    console.log('\nTesting links opened in the editor...');
+
+    assert.deepStrictEqual(
+        _test.parseRepositoryLink('https://github.com/elastic/kibana/blob/feature/login/src/foo.ts#L40-L55'),
+        {
+            repositoryUrl: 'https://github.com/elastic/kibana',
+            kind: 'file',
+            refAndPath: 'feature/login/src/foo.ts',
+            lines: { start: 40, end: 55 },
+            commitHash: null,
+            number: null,
+            fileAnchor: null
+        }
+    );
+    assert.deepStrictEqual(_test.parseLineAnchor('#L3C2-L4C9'), { start: 3, end: 4, startColumn: 2, endColumn: 9 });
+    assert.deepStrictEqual(_test.parseLineAnchor('L7'), { start: 7, end: 7 });
+    assert.strictEqual(_test.parseLineAnchor('#readme'), null);
+
+    let link = _test.parseRepositoryLink('https://github.com/elastic/kibana/blame/main/src/foo.ts#L9');
+    assert.strictEqual(link.kind, 'blame');
+    assert.deepStrictEqual(link.lines, { start: 9, end: 9 });
+    link = _test.parseRepositoryLink('https://github.com/elastic/kibana/tree/main/src/core');
+    assert.strictEqual(link.kind, 'tree');
+    assert.strictEqual(link.refAndPath, 'main/src/core');
+    link = _test.parseRepositoryLink(`https://github.com/elastic/kibana/commit/${'a'.repeat(40)}`);
+    assert.strictEqual(link.kind, 'commit');
+    assert.strictEqual(link.commitHash, 'a'.repeat(40));
+    link = _test.parseRepositoryLink('https://github.com/elastic/kibana/pull/123/files#diff-abc');
+    assert.strictEqual(link.kind, 'pullRequest');
+    assert.strictEqual(link.number, '123');
+    assert.strictEqual(link.fileAnchor, 'diff-abc');
+    assert.strictEqual(_test.parseRepositoryLink('https://github.com/elastic/kibana/issues/1'), null);
+    assert.strictEqual(_test.parseRepositoryLink('https://gitlab.com/group/project/-/blob/main/a.js'), null);
+    assert.strictEqual(_test.parseRepositoryLink('not a url'), null);
+    // Encoded separators and dot segments must not lead out of the repository
+    assert.strictEqual(_test.parseRepositoryLink('https://github.com/o/r/blob/main/a%2F..%2F..%2F..%2Fetc/passwd'), null);
+    assert.strictEqual(_test.parseRepositoryLink('https://github.com/o/r/tree/main/a%5C..%5Cb'), null);
+    assert.strictEqual(_test.parseRepositoryLink('https://github.com/o/r/blob/main/%E0%A4%A.js'), null);
+    const root = path.resolve('repo');
+    assert.strictEqual(_test.getPathInRepository(root, 'src/a.js'), path.join(root, 'src', 'a.js'));
+    assert.strictEqual(_test.getPathInRepository(root, '..foo/a.js'), path.join(root, '..foo', 'a.js'));
+    assert.strictEqual(_test.getPathInRepository(root, 'src/../../etc/passwd'), null);
+    assert.strictEqual(_test.getPathInRepository(root, '..'), null);
+
+    const fileHash = crypto.createHash('sha256').update('src/foo.ts').digest('hex');
+    assert.deepStrictEqual(
+        _test.findPullRequestFileForAnchor(['README.md', 'src/foo.ts'], `diff-${fileHash}R12-R14`),
+        { file: 'src/foo.ts', lines: { start: 12, end: 14 } }
+    );
+    assert.deepStrictEqual(
+        _test.findPullRequestFileForAnchor(['src/foo.ts'], `diff-${fileHash}`),
+        { file: 'src/foo.ts', lines: null }
+    );
+    assert.strictEqual(_test.findPullRequestFileForAnchor(['README.md'], `diff-${fileHash}`), null);
+
+    await withMockGitHubApi({
+        '/repos/elastic/kibana/pulls/123/files?per_page=100': [{ filename: 'src/foo.ts' }, { filename: 'README.md' }]
+    }, async (apiBaseUrl) => {
+        assert.deepStrictEqual(
+            await _test.getPullRequestFilesFromApi('https://github.com/elastic/kibana', 123, { apiBaseUrl, token: 'secret' }),
+            ['src/foo.ts', 'README.md']
+        );
+    });
+
+    // Large PRs are listed page by page
+    const pageUrl = page => `/repos/elastic/kibana/pulls/7/files?per_page=100&page=${page}`;
+    const filesPage = (start, count) => Array.from({ length: count }, (value, index) => ({ filename: `f${start + index}.ts` }));
+    await withMockGitHubApi({
+        '/repos/elastic/kibana/pulls/7/files?per_page=100': origin => ({
+            body: filesPage(0, 100),
+            headers: { Link: `<${origin}${pageUrl(2)}>; rel="next", <${origin}${pageUrl(3)}>; rel="last"` }
+        }),
+        [pageUrl(2)]: origin => ({ body: filesPage(100, 100), headers: { Link: `<${origin}${pageUrl(3)}>; rel="next"` } }),
+        [pageUrl(3)]: () => ({ body: filesPage(200, 5), headers: { Link: '<https://elsewhere.example.com/page4>; rel="next"' } })
+    }, async (apiBaseUrl, requests) => {
+        const files = await _test.getPullRequestFilesFromApi('https://github.com/elastic/kibana', 7, { apiBaseUrl, token: 'secret' });
+        assert.strictEqual(files.length, 205);
+        assert.strictEqual(files[204], 'f204.ts');
+        assert.strictEqual(requests.length, 3, 'Links to another host should not be followed');
+        assert.ok(requests.every(request => request.authorization === 'Bearer secret'));
+    });
+    assert.strictEqual(_test.parseNextPageLink('<https://api.github.com/x?page=1>; rel="prev"'), null);
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'upstream', 'git@github.com:Elastic/Kibana.git');
+        const commitHash = await commitFile(gitRoot, 'src/foo.ts', 'foo\n');
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/feature/login', 'HEAD');
+
+        const local = await _test.findLocalRepositoryForUrl([gitRoot], 'https://github.com/elastic/kibana');
+        assert.strictEqual(local.gitRoot, gitRoot);
+        assert.strictEqual(local.repositoryInfo.remoteName, 'upstream');
+        assert.strictEqual(await _test.findLocalRepositoryForUrl([gitRoot], 'https://github.com/other/repo'), null);
+
+        assert.deepStrictEqual(
+            await _test.splitRefAndPath(gitRoot, 'feature/login/src/foo.ts', 'upstream'),
+            { ref: 'feature/login', path: 'src/foo.ts', commitHash }
+        );
+        assert.deepStrictEqual(
+            await _test.splitRefAndPath(gitRoot, `${commitHash}/src/foo.ts`, 'upstream'),
+            { ref: commitHash, path: 'src/foo.ts', commitHash }
+        );
+        assert.deepStrictEqual(
+            await _test.splitRefAndPath(gitRoot, 'unknown/src/foo.ts', 'upstream'),
+            { ref: 'unknown', path: 'src/foo.ts', commitHash: null }
+        );
+    });
+
+    console.log('✓ Links opened in the editor test passed!');
+}
+
+function testPullRequestCandidates() {
+    console.log('\nTesting PR candidate parsing...');
+
+    const candidates = _test.parsePullRequestCandidates([
+        'Fix flaky test (#123)',
+        '',
+        'Fixes #45, see other/repo#9, elastic/kibana#77 and #8.',
+        'Merge pull request #5 from someone/branch'
+    ].join('\n'), 'elastic/kibana');
+
+    assert.deepStrictEqual(candidates, [
+        { kind: 'pullRequest', number: '123', repository: null, source: 'squashMerge' },
+        { kind: 'pullRequest', number: '5', repository: null, source: 'mergeCommit' },
+        { kind: 'reference', number: '9', repository: 'other/repo', source: 'crossRepository' },
+        { kind: 'issue', number: '45', repository: null, source: 'issueKeyword' },
+        { kind: 'reference', number: '77', repository: null, source: 'reference' },
+        { kind: 'reference', number: '8', repository: null, source: 'reference' }
+    ]);
+
+    // A squash-merge subject wins over the same number mentioned elsewhere
+    assert.deepStrictEqual(
+        _test.parsePullRequestCandidates('Add thing (#7)\n\nFollow-up to #7'),
+        [{ kind: 'pullRequest', number: '7', repository: null, source: 'squashMerge' }]
+    );
+    assert.deepStrictEqual(
+        _test.parsePullRequestCandidates('Resolves owner/tracker#3'),
+        [{ kind: 'issue', number: '3', repository: 'owner/tracker', source: 'issueKeyword' }]
+    );
+    assert.deepStrictEqual(
+        _test.parsePullRequestCandidates('Feature\n\nSee merge request group/sub/project!42'),
+        [{ kind: 'pullRequest', number: '42', repository: 'group/sub/project', source: 'mergeCommit' }]
+    );
+    assert.deepStrictEqual(
+        _test.parsePullRequestCandidates('Feature\n\nSee merge request Group/Sub/Project!42', 'group/sub/project'),
+        [{ kind: 'pullRequest', number: '42', repository: null, source: 'mergeCommit' }]
+    );
+    assert.strictEqual(_test.getRepositoryPath('https://gitlab.com/group/sub/project'), 'group/sub/project');
+    assert.deepStrictEqual(_test.parsePullRequestCandidates('No references, color: #fff'), []);
+
+    const repositoryInfo = { url: 'https://github.com/elastic/kibana', provider: 'github' };
+    assert.strictEqual(_test.getCandidateUrl(repositoryInfo, candidates[0]), 'https://github.com/elastic/kibana/pull/123');
+    assert.strictEqual(_test.getCandidateUrl(repositoryInfo, candidates[2]), 'https://github.com/other/repo/issues/9');
+    assert.strictEqual(_test.getCandidateUrl(repositoryInfo, candidates[3]), 'https://github.com/elastic/kibana/issues/45');
+    assert.strictEqual(_test.describeCandidate(candidates[2]), 'PR or issue other/repo#9');
+    assert.strictEqual(_test.describeCandidate(candidates[3]), 'Issue #45');
+    assert.strictEqual(_test.describeCandidate(candidates[0], 'gitlab'), 'MR #123');
+    assert.strictEqual(
+        _test.constructIssueUrl({ url: 'https://dev.azure.com/org/project/_git/repo', provider: 'azure' }, 4),
+        'https://dev.azure.com/org/project/_workitems/edit/4'
+    );
+
+    console.log('✓ PR candidate parsing test passed!');
+}
+
+async function testBlame() {
+    console.log('\nTesting blame...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        const featureCommit = await commitFile(gitRoot, 'a.js', 'function a() {\nreturn 1;\n}\n', 'Add a (#1)');
+        const formatCommit = await commitFile(gitRoot, 'a.js', 'function a() {\n    return 1;\n}\n', 'Reformat');
+
+        // Without ignore-revs the formatting commit is blamed, and stepping back finds the feature
+        let blameEntry = await _test.blameLine(gitRoot, 'a.js', 2);
+        assert.strictEqual(blameEntry.commitHash, formatCommit);
+        assert.strictEqual(blameEntry.summary, 'Reformat');
+        const previous = await _test.blamePreviousChange(gitRoot, blameEntry);
+        assert.strictEqual(previous.commitHash, featureCommit);
+        assert.strictEqual(await _test.blamePreviousChange(gitRoot, previous), null);
+
+        blameEntry = await _test.blameLine(gitRoot, 'a.js', 2, { ignoreWhitespace: true });
+        assert.strictEqual(blameEntry.commitHash, featureCommit);
+
+        // .git-blame-ignore-revs is picked up automatically, unless disabled
+        fs.writeFileSync(path.join(gitRoot, '.git-blame-ignore-revs'), `# formatting\n${formatCommit}\n`);
+        blameEntry = await _test.blameLine(gitRoot, 'a.js', 2);
+        assert.strictEqual(blameEntry.commitHash, featureCommit);
+        blameEntry = await _test.blameLine(gitRoot, 'a.js', 2, { ignoreRevs: false });
+        assert.strictEqual(blameEntry.commitHash, formatCommit);
+
+        // blame.ignoreRevsFile from git config is honored, and can be turned off as well
+        fs.renameSync(path.join(gitRoot, '.git-blame-ignore-revs'), path.join(gitRoot, 'ignored-revs'));
+        await git(gitRoot, 'config', 'blame.ignoreRevsFile', 'ignored-revs');
+        blameEntry = await _test.blameLine(gitRoot, 'a.js', 2);
+        assert.strictEqual(blameEntry.commitHash, featureCommit);
+        blameEntry = await _test.blameLine(gitRoot, 'a.js', 2, { ignoreRevs: false });
+        assert.strictEqual(blameEntry.commitHash, formatCommit);
+
+        // Uncommitted lines blame as all zeros
+        fs.writeFileSync(path.join(gitRoot, 'a.js'), 'function a() {\n    return 2;\n}\n');
+        blameEntry = await _test.blameLine(gitRoot, 'a.js', 2);
+        assert.strictEqual(_test.isUncommittedHash(blameEntry.commitHash), true);
+    });
+
+    // Whole-file blame of unsaved editor contents, cached per document version and HEAD
+    await withTempGitRepo(async (gitRoot) => {
+        const first = await commitFile(gitRoot, 'b.js', 'one\ntwo\n', 'Add b (#4)');
+        const filePath = path.join(gitRoot, 'b.js');
+        const document = {
+            uri: { scheme: 'file', fsPath: filePath, toString: () => `file://${filePath}` },
+            version: 1,
+            text: 'zero\none\ntwo\n',
+            getText() {
+                return this.text;
+            }
+        };
+
+        let blame = await _test.getDocumentBlame(document);
+        assert.strictEqual(blame.entries.size, 3);
+        assert.strictEqual(_test.isUncommittedHash(blame.entries.get(1).commitHash), true);
+        assert.strictEqual(blame.entries.get(2).commitHash, first);
+        assert.strictEqual(blame.entries.get(3).summary, 'Add b (#4)');
+        assert.strictEqual(await _test.getDocumentBlame(document), blame, 'Blame should be reused for the same version');
+
+        document.version = 2;
+        document.text = 'one\ntwo\n';
+        blame = await _test.getDocumentBlame(document);
+        assert.strictEqual(blame.entries.get(1).commitHash, first);
+
+        const second = await commitFile(gitRoot, 'b.js', 'one\n2\n', 'Change b');
+        document.text = 'one\n2\n';
+        blame = await _test.getDocumentBlame(document);
+        assert.strictEqual(blame.entries.get(2).commitHash, second, 'A new HEAD should invalidate the cached blame');
+
+        // A cancelled blame, e.g. for a dismissed hover, stops git and is not reused
+        const cancelledToken = { isCancellationRequested: true, onCancellationRequested: () => ({ dispose() {} }) };
+        document.version = 3;
+        assert.strictEqual(await _test.getDocumentBlame(document, {}, cancelledToken), null);
+        blame = await _test.getDocumentBlame(document);
+        assert.strictEqual(blame.entries.get(2).commitHash, second);
+        assert.strictEqual(await _test.blameLine(gitRoot, 'b.js', 1, {}, null, cancelledToken), null);
+
+        // Hovers look the repository and commit message up once, not on every mouse move
+        await addRemote(gitRoot, 'origin', 'git@github.com:owner/repo.git');
+        const context = await _test.getBlameHoverContext(gitRoot, first, createConfig());
+        assert.strictEqual(context.repositoryInfo.url, 'https://github.com/owner/repo');
+        assert.match(context.message, /^Add b \(#4\)/);
+        await git(gitRoot, 'remote', 'remove', 'origin');
+        assert.deepStrictEqual(await _test.getBlameHoverContext(gitRoot, first, createConfig()), context);
+
+        const atFirst = await _test.blameFile(gitRoot, 'b.js', {}, null, first);
+        assert.strictEqual(atFirst.get(2).commitHash, first);
+        assert.strictEqual((await _test.blameFile(gitRoot, 'missing.js')).size, 0);
+    });
+
+    const now = Date.UTC(2024, 5, 15);
+    const day = 24 * 60 * 60;
+    assert.strictEqual(_test.formatRelativeTime(now / 1000 - 30, now), 'just now');
+    assert.strictEqual(_test.formatRelativeTime(now / 1000 - day, now), '1 day ago');
+    assert.strictEqual(_test.formatRelativeTime(now / 1000 - 3 * 31 * day, now), '3 months ago');
+
+    const entry = {
+        commitHash: 'c'.repeat(40),
+        author: 'Jane Doe',
+        authorTime: now / 1000 - 2 * day,
+        summary: 'Fix *parser* (#12)'
+    };
+    assert.strictEqual(_test.formatBlameAnnotation(entry, now), 'Jane Doe, 2 days ago • Fix *parser* (#12)');
+    assert.strictEqual(_test.formatBlameAnnotation({ ...entry, commitHash: '0'.repeat(40) }, now), 'You • Uncommitted changes');
+    const repositoryInfo = { provider: 'github', url: 'https://github.com/owner/repo' };
+    const hover = _test.formatBlameHover(entry, repositoryInfo, '12', now);
+    assert.ok(hover.startsWith('**Jane Doe**, 2 days ago (2024-06-13)'));
+    assert.ok(hover.includes('Fix \\*parser\\* \\(\\#12\\)'), 'The subject should be escaped');
+    assert.ok(hover.includes(`[$(git-commit) cccccccc](https://github.com/owner/repo/commit/${'c'.repeat(40)})`));
+    assert.ok(hover.includes('[$(git-pull-request) PR #12](https://github.com/owner/repo/pull/12)'));
+    assert.ok(!_test.formatBlameHover(entry, null, null, now).includes('https://'));
+    const iconHover = _test.formatBlameHover({ ...entry, summary: 'Show $(alert) icons' }, null, null, now);
+    assert.ok(iconHover.includes('Show \\$\\(alert\\) icons'), 'Theme icons in subjects should not render');
+
+    console.log('✓ Blame test passed!');
+}
+
 async function testRepositoryDiscovery() {
     console.log('\nTesting repository discovery from remotes...');
 
@@ -104,7 +1528,8 @@ async function testRepositoryDiscovery() {
 
         assert.deepStrictEqual(repositoryInfo, {
             url: 'https://github.com/elastic/kibana',
-            remoteName: 'origin'
+            remoteName: 'origin',
+            provider: 'github'
         });
     });
 
@@ -116,10 +1541,38 @@ async function testRepositoryDiscovery() {
 
         assert.deepStrictEqual(repositoryInfo, {
             url: 'https://github.com/elastic/kibana',
-            remoteName: 'upstream'
+            remoteName: 'upstream',
+            provider: 'github'
         });
     });
 
+    await withTempGitRepo(async (gitRoot) => {
+        await addRemote(gitRoot, 'origin', 'git@github.com:some-fork/kibana.git');
+        await addRemote(gitRoot, 'upstream', 'https://github.com/elastic/kibana.git');
+        await addRemote(gitRoot, 'company', 'https://gitlab.com/elastic/kibana.git');
+
+        // A configured priority order replaces upstream, origin
+        let config = createConfig('', undefined, { remotePriority: ['company', 'origin'] });
+        assert.deepStrictEqual(_test.getRemotePriority(config), ['company', 'origin']);
+        let repositoryInfo = await _test.getGitHubRepositoryInfo(gitRoot, config);
+        assert.strictEqual(repositoryInfo.remoteName, 'company');
+        assert.strictEqual(repositoryInfo.provider, 'gitlab');
+
+        const repositoryInfos = await _test.getAllRepositoryInfos(gitRoot, _test.getHostOptions(config), _test.getRemotePriority(config));
+        assert.deepStrictEqual(repositoryInfos.map(info => info.remoteName), ['company', 'origin', 'upstream']);
+
+        // Without a listed remote, the first supported remote in git's order is used
+        config = createConfig('', undefined, { remotePriority: ['missing'] });
+        repositoryInfo = await _test.getGitHubRepositoryInfo(gitRoot, config);
+        assert.strictEqual(repositoryInfo.remoteName, 'company');
+
+        assert.deepStrictEqual(_test.getRemotePriority(createConfig()), ['upstream', 'origin']);
+        assert.deepStrictEqual(
+            _test.getRemotePriority(createConfig('', undefined, { remotePriority: 'origin' })),
+            ['upstream', 'origin']
+        );
+    });
+
     await withTempGitRepo(async (gitRoot) => {
         await addRemote(gitRoot, 'mirror', 'https://github.com/example/project.git');
 
@@ -127,7 +1580,8 @@ async function testRepositoryDiscovery() {
 
         assert.deepStrictEqual(repositoryInfo, {
             url: 'https://github.com/example/project',
-            remoteName: 'mirror'
+            remoteName: 'mirror',
+            provider: 'github'
         });
     });
 
@@ -144,7 +1598,8 @@ async function testRepositoryDiscovery() {
 
         assert.deepStrictEqual(repositoryInfo, {
             url: 'https://github.com/elastic/kibana',
-            remoteName: null
+            remoteName: null,
+            provider: 'github'
         });
     });
 
@@ -160,7 +1615,36 @@ async function testRepositoryDiscovery() {
 
         assert.deepStrictEqual(repositoryInfo, {
             url: 'https://github.com/elastic/proxy',
-            remoteName: 'origin'
+            remoteName: 'origin',
+            provider: 'github'
+        });
+    });
+
+    await withTempGitRepo(async (gitRoot) => {
+        await addRemote(gitRoot, 'origin', 'ssh://git@github.example.com:2222/elastic/kibana.git');
+
+        const repositoryInfo = await _test.getGitHubRepositoryInfo(
+            gitRoot,
+            createConfig('', undefined, { githubHosts: ['github.example.com'] })
+        );
+
+        assert.deepStrictEqual(repositoryInfo, {
+            url: 'https://github.example.com/elastic/kibana',
+            remoteName: 'origin',
+            provider: 'github'
+        });
+        assert.strictEqual(await _test.getGitHubRepositoryInfo(gitRoot, createConfig()), null);
+    });
+
+    await withTempGitRepo(async (gitRoot) => {
+        await addRemote(gitRoot, 'origin', 'git@gitlab.com:group/project.git');
+
+        const repositoryInfo = await _test.getGitHubRepositoryInfo(gitRoot, createConfig());
+
+        assert.deepStrictEqual(repositoryInfo, {
+            url: 'https://gitlab.com/group/project',
+            remoteName: 'origin',
+            provider: 'gitlab'
         });
     });
 
@@ -186,12 +1670,245 @@ async function testUrlConstruction() {
     console.log('\n✅ URL construction test passed!');
 }
 
+async function testGitRunner() {
+    console.log('\nTesting the git runner...');
+
+    await withTempGitRepo(async (gitRoot) => {
+        // Names a shell would interpret: quotes, command substitution, backticks and globs
+        const names = [
+            `it's "quoted".js`,
+            'run $(touch pwned).js',
+            'tick `touch pwned`.js',
+            'semi; touch pwned.js',
+            '-dash #hash ?query *star.js'
+        ];
+        for (const name of names) {
+            const commit = await commitFile(gitRoot, path.join('dir with space', name), 'one\ntwo\n', `Add ${name} (#9)`);
+            const filePath = path.join(gitRoot, 'dir with space', name);
+
+            assert.strictEqual(await _test.getGitRoot(filePath), fs.realpathSync(gitRoot));
+            const relativePath = _test.getRelativePath(filePath, gitRoot);
+            assert.strictEqual(relativePath, `dir with space/${name}`);
+            assert.strictEqual(await _test.getCommitHashFromBlame(gitRoot, filePath, 2), commit);
+            assert.strictEqual((await _test.blameFile(gitRoot, relativePath, {}, 'zero\none\ntwo\n')).get(3).commitHash, commit);
+            assert.strictEqual(await _test.getPRNumberFromCommit(gitRoot, commit), '9');
+
+            const lineMapping = await _test.getRemoteLineMapping(gitRoot, relativePath, { ref: commit, type: 'commit' }, 'zero\none\ntwo\n');
+            assert.strictEqual(lineMapping.exists, true);
+            assert.deepStrictEqual(_test.mapLineRange(lineMapping.hunks, { start: 3, end: 3 }), { start: 2, end: 2 });
+
+            const url = _test.constructGitHubUrl({ provider: 'github', url: 'https://github.com/owner/repo' }, { ref: 'main', type: 'branch' }, relativePath);
+            const link = _test.parseRepositoryLink(url);
+            assert.strictEqual(link.refAndPath, `main/${relativePath}`);
+        }
+        assert.strictEqual(fs.existsSync(path.join(gitRoot, 'pwned')), false, 'File names must never reach a shell');
+        assert.strictEqual(fs.existsSync(path.join(gitRoot, 'dir with space', 'pwned')), false);
+
+        // git never prompts for credentials
+        const { stdout } = await _test.runGit(gitRoot, ['-c', 'alias.prompt=!printenv GIT_TERMINAL_PROMPT', 'prompt']);
+        assert.strictEqual(stdout.trim(), '0');
+
+        // Input is written to stdin, and stdin is closed otherwise
+        const hash = await _test.runGit(gitRoot, ['hash-object', '--stdin'], { input: 'hello\n' });
+        assert.strictEqual(hash.stdout.trim(), 'ce013625030ba8dba906f756967f9e9ca394464a');
+        assert.strictEqual((await _test.runGit(gitRoot, ['hash-object', '--stdin'])).stdout.trim(), 'e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+
+        // Commands that never finish are stopped by the time limit or a cancellation token
+        const hang = ['-c', 'alias.hang=!sleep 5', 'hang'];
+        let startTime = Date.now();
+        await assert.rejects(_test.runGit(gitRoot, hang, { timeoutMs: 200 }), error => error.killed === true);
+        assert.ok(Date.now() - startTime < 4000, 'The time limit should stop git');
+
+        let cancel = null;
+        const token = {
+            isCancellationRequested: false,
+            onCancellationRequested(listener) {
+                cancel = listener;
+                return { dispose() {} };
+            }
+        };
+        startTime = Date.now();
+        const cancelled = _test.runGit(gitRoot, hang, { token });
+        setTimeout(() => cancel(), 100);
+        await assert.rejects(cancelled, error => error.name === 'AbortError');
+        assert.ok(Date.now() - startTime < 4000, 'Cancellation should stop git');
+
+        await assert.rejects(
+            _test.runGit(gitRoot, ['status'], { token: { ...token, isCancellationRequested: true } }),
+            error => error.name === 'AbortError'
+        );
+
+        await assert.rejects(_test.runGit(gitRoot, ['rev-parse', '--verify', 'missing']), error => error.code === 128);
+    });
+
+    console.log('✓ Git runner test passed!');
+}
+
+async function testCommandLine() {
+    console.log('\nTesting the command line...');
+
+    assert.deepStrictEqual(cli.parseLocation('src/a.js:10-20'), { filePath: 'src/a.js', lines: { start: 10, end: 20 } });
+    assert.deepStrictEqual(cli.parseLocation('src/a.js:7'), { filePath: 'src/a.js', lines: { start: 7, end: 7 } });
+    assert.deepStrictEqual(cli.parseLocation('C:\\repo\\a.js'), { filePath: 'C:\\repo\\a.js', lines: null });
+    assert.throws(() => cli.parseLocation('a.js:20-10'), /Invalid line range/);
+
+    const parsed = cli.parseArgs(['src/a.js:3', '--blame', '--copy', '--remote', 'origin']);
+    assert.deepStrictEqual(parsed, {
+        target: 'blame',
+        action: 'copy',
+        remoteName: 'origin',
+        useCommitHash: false,
+        configFile: null,
+        filePath: path.resolve('src/a.js'),
+        lines: { start: 3, end: 3 }
+    });
+    assert.strictEqual(cli.parseArgs(['a.js', '--config', 'links.json']).configFile, path.resolve('links.json'));
+    assert.deepStrictEqual(cli.parseArgs(['--help']), { help: true });
+    assert.throws(() => cli.parseArgs([]), /A path is required/);
+    assert.throws(() => cli.parseArgs(['a.js', '--blame', '--history']), /Only one of/);
+    assert.throws(() => cli.parseArgs(['a.js', '--print', '--copy']), /Only one of --print and --copy/);
+    assert.throws(() => cli.parseArgs(['a.js', '--pr']), /--pr needs a line/);
+    assert.throws(() => cli.parseArgs(['a.js', '--remote']), /--remote needs a remote name/);
+    assert.throws(() => cli.parseArgs(['a.js', '--config']), /--config needs a file/);
+
+    // Only the user's own settings name the git to run
+    const gitPathConfig = (inspection) => ({ inspect: () => inspection });
+    assert.strictEqual(_test.getGitPath(gitPathConfig({ globalValue: ' /opt/git/bin/git ' })), '/opt/git/bin/git');
+    assert.strictEqual(_test.getGitPath(gitPathConfig({ workspaceValue: '/tmp/evil' })), 'git');
+    assert.strictEqual(_test.getGitPath(null), 'git');
+    assert.throws(() => cli.parseArgs(['a.js', '--bogus']), /Unknown option --bogus/);
+
+    // Settings files have comments and trailing commas
+    assert.deepStrictEqual(
+        cli.parseJsonc('{\n  // links\n  "a": "x//y\\"", /* b */ "b": [1, 2,],\n}'),
+        { a: 'x//y"', b: [1, 2] }
+    );
+
+    await withTempGitRepo(async (gitRoot) => {
+        await git(gitRoot, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+        await addRemote(gitRoot, 'origin', 'git@github.com:someone/kibana.git');
+        await addRemote(gitRoot, 'upstream', 'git@github.com:elastic/kibana.git');
+        const commit = await commitFile(gitRoot, 'src/a.js', 'one\ntwo\n', 'Add a (#42)');
+        await git(gitRoot, 'update-ref', 'refs/remotes/upstream/main', 'HEAD');
+        await git(gitRoot, 'update-ref', 'refs/remotes/origin/main', 'HEAD');
+        const filePath = path.join(gitRoot, 'src', 'a.js');
+        const config = createConfig('', undefined, { remoteBranchCheck: 'local' });
+        const resolve = async (options) => (await resolveLinkForPath(filePath, config, options)).url;
+
+        assert.strictEqual(await resolve({ lines: { start: 2, end: 2 } }), 'https://github.com/elastic/kibana/blob/main/src/a.js#L2');
+        assert.strictEqual(await resolve({ target: 'blame', lines: { start: 1, end: 2 } }), 'https://github.com/elastic/kibana/blame/main/src/a.js#L1-L2');
+        assert.strictEqual(await resolve({ target: 'history' }), 'https://github.com/elastic/kibana/commits/main/src/a.js');
+        assert.strictEqual(await resolve({ target: 'commit', lines: { start: 1, end: 1 } }), `https://github.com/elastic/kibana/commit/${commit}`);
+        assert.strictEqual(await resolve({ target: 'pr', lines: { start: 1, end: 1 } }), 'https://github.com/elastic/kibana/pull/42');
+        assert.strictEqual(await resolve({ remoteName: 'origin' }), 'https://github.com/someone/kibana/blob/main/src/a.js');
+        assert.strictEqual(await resolve({ useCommitHash: true }), `https://github.com/elastic/kibana/blob/${commit}/src/a.js`);
+        assert.strictEqual(
+            (await resolveLinkForPath(path.join(gitRoot, 'src'), config, {})).url,
+            'https://github.com/elastic/kibana/tree/main/src'
+        );
+
+        // Line numbers follow unsaved local changes, like in the editor
+        fs.writeFileSync(filePath, 'zero\none\ntwo\n');
+        assert.strictEqual(await resolve({ lines: { start: 3, end: 3 } }), 'https://github.com/elastic/kibana/blob/main/src/a.js#L2');
+        const added = await resolveLinkForPath(filePath, config, { lines: { start: 1, end: 1 } });
+        assert.strictEqual(added.url, 'https://github.com/elastic/kibana/blob/main/src/a.js');
+        assert.match(added.warnings[0], /added locally/);
+        await assert.rejects(resolve({ target: 'commit', lines: { start: 1, end: 1 } }), /Line 1 has uncommitted changes/);
+
+        // Unpushed branches fall back with a warning
+        await git(gitRoot, 'checkout', '-q', '-b', 'feature');
+        const fallback = await resolveLinkForPath(filePath, config, {});
+        assert.strictEqual(fallback.url, 'https://github.com/elastic/kibana/blob/main/src/a.js');
+        assert.match(fallback.warnings[0], /local branch feature not found on upstream/);
+
+        await assert.rejects(resolve({ remoteName: 'missing' }), /Remote missing does not exist/);
+        await assert.rejects(resolveLinkForPath(path.join(gitRoot, 'missing.js'), config), /does not exist/);
+
+        // End to end through the bin script
+        const cliPath = path.join(__dirname, 'cli.js');
+        const { stdout, stderr } = await execFileAsync(process.execPath, [cliPath, 'src/a.js:3', '--print'], { cwd: gitRoot });
+        assert.strictEqual(stdout.trim(), 'https://github.com/elastic/kibana/blob/main/src/a.js#L2');
+        assert.match(stderr, /local branch feature not found on upstream/);
+        await assert.rejects(
+            execFileAsync(process.execPath, [cliPath, '--bogus'], { cwd: gitRoot }),
+            error => error.code === 2 && /Unknown option --bogus/.test(error.stderr)
+        );
+        await assert.rejects(
+            execFileAsync(process.execPath, [cliPath, 'src/a.js', '--print', '--remote', 'missing'], { cwd: gitRoot }),
+            error => error.code === 1 && /Remote missing does not exist/.test(error.stderr)
+        );
+
+        // Settings come from the workspace, except those only the user may set, and from --config
+        const home = fs.mkdtempSync(path.join(os.tmpdir(), 'open-in-github-home-'));
+        const env = { ...process.env, HOME: home, XDG_CONFIG_HOME: path.join(home, '.config'), APPDATA: home };
+        try {
+            fs.mkdirSync(path.join(gitRoot, '.vscode'));
+            fs.writeFileSync(path.join(gitRoot, '.vscode', 'settings.json'), `{
+                // Published separately
+                "openInGithub.pathMappings": [
+                    { "localPath": "src", "repositoryUrl": "https://github.com/acme/src", "ref": "stable" },
+                ],
+                "openInGithub.githubToken": "workspace-token",
+            }`);
+            const workspaceConfig = cli.loadConfiguration(filePath);
+            assert.strictEqual(workspaceConfig.get('githubToken', ''), '');
+            assert.strictEqual(workspaceConfig.inspect('pathMappings').workspaceValue.length, 1);
+            const mapped = await execFileAsync(process.execPath, [cliPath, 'src/a.js', '--print'], { cwd: gitRoot, env });
+            assert.strictEqual(mapped.stdout.trim(), 'https://github.com/acme/src/blob/stable/a.js');
+
+            await addRemote(gitRoot, 'corp', 'git@git.corp.example:team/kibana.git');
+            const configFile = path.join(home, 'links.json');
+            fs.writeFileSync(configFile, '{ "openInGithub.githubHosts": ["git.corp.example"], "openInGithub.pathMappings": [] }');
+            const corp = await execFileAsync(process.execPath,
+                [cliPath, 'src', '--print', '--permalink', '--remote', 'corp', '--config', configFile], { cwd: gitRoot, env });
+            assert.strictEqual(corp.stdout.trim(), `https://git.corp.example/team/kibana/tree/${commit}/src`);
+
+            // openInGithub.gitPath from the user settings runs the same git as the editor
+            if (process.platform !== 'win32') {
+                const gitWrapper = path.join(home, 'git-wrapper');
+                const marker = path.join(home, 'wrapper-used');
+                fs.writeFileSync(gitWrapper, `#!/bin/sh\ntouch '${marker}'\nexec git "$@"\n`, { mode: 0o755 });
+                fs.mkdirSync(path.join(home, '.config', 'Code', 'User'), { recursive: true });
+                fs.writeFileSync(path.join(home, '.config', 'Code', 'User', 'settings.json'), JSON.stringify({ 'openInGithub.gitPath': gitWrapper }));
+                const wrapped = await execFileAsync(process.execPath, [cliPath, 'src/a.js', '--print'], { cwd: gitRoot, env });
+                assert.strictEqual(wrapped.stdout.trim(), 'https://github.com/acme/src/blob/stable/a.js');
+                assert.ok(fs.existsSync(marker), 'The CLI should run openInGithub.gitPath');
+            }
+        } finally {
+            fs.rmSync(home, { recursive: true, force: true });
+        }
+    });
+
+    console.log('✓ Command line test passed!');
+}
+
 async function runTests() {
     console.log('🧪 Running Open in GitHub Extension Tests\n');
 
     await testGitIntegration();
+    await testGitRunner();
     testGitHubUrlNormalization();
+    testHostingProviders();
+    testLineRanges();
+    await testCommandResources();
+    await testDocumentLocations();
+    testClipboardFormats();
+    await testRemoteLineMapping();
+    await testRefResolution();
+    await testRemoteBranchChecks();
+    await testForkBranchRemotes();
+    await testLinkStatus();
+    await testLinkResolutionReport();
+    await testSubmodulesAndWorktrees();
+    testPathMappings();
+    await testLinkTemplates();
+    await testPullRequestApiLookup();
+    testPullRequestCandidates();
+    await testPullRequestForBranch();
+    await testReverseLookup();
+    await testBlame();
     await testRepositoryDiscovery();
+    await testCommandLine();
     await testUrlConstruction();
 
     console.log('\n🎉 All tests completed!');